@@ -96,6 +96,77 @@ this.createjs = this.createjs||{};
 	 */
 	p._item = null;
 
+	/**
+	 * The URL that this loader requests. This is usually the <code>src</code> of the item, resolved against a base
+	 * path by the {{#crossLink "LoadQueue"}}{{/crossLink}}.
+	 * @property _src
+	 * @type {String}
+	 * @private
+	 */
+	p._src = null;
+
+	/**
+	 * The type of loader, which is included in error events.
+	 * @property _loaderType
+	 * @type {String}
+	 * @default AbstractLoader
+	 * @private
+	 */
+	p._loaderType = "AbstractLoader";
+
+	/**
+	 * The response of a loaded file. This is set because it is expensive to look up constantly. This property will be
+	 * null until the file is loaded.
+	 * @property _response
+	 * @type {mixed}
+	 * @private
+	 */
+	p._response = null;
+
+	/**
+	 * The response of the loaded file before it is modified. In most cases, content is converted from raw text to
+	 * an HTML tag or a formatted object which is set to the <code>result</code> property, but the developer may still
+	 * want to access the raw content as it was loaded.
+	 * @property _rawResponse
+	 * @type {String|Object}
+	 * @private
+	 */
+	p._rawResponse = null;
+
+	/**
+	 * The object URL that was created from the loaded bytes of an image. Please see
+	 * {{#crossLink "AbstractLoader/getObjectURL"}}{{/crossLink}}.
+	 * @property _objectURL
+	 * @type {String}
+	 * @private
+	 */
+	p._objectURL = null;
+
+	/**
+	 * The persistent cache that the content is loaded from and stored in.
+	 * @property _cache
+	 * @type {AssetCache}
+	 * @private
+	 */
+	p._cache = null;
+
+	/**
+	 * The Content-Type of content that was loaded from the cache.
+	 * @property _cachedContentType
+	 * @type {String}
+	 * @private
+	 */
+	p._cachedContentType = null;
+
+	/**
+	 * Content that was loaded from the network, and is stored in the cache once it has been processed successfully.
+	 * Please see {{#crossLink "AbstractLoader/_storeResponse"}}{{/crossLink}}.
+	 * @property _uncachedResponse
+	 * @type {String|ArrayBuffer}
+	 * @private
+	 */
+	p._uncachedResponse = null;
+
 // Events
 	/**
 	 * The event that is fired when the overall progress changes.
@@ -127,15 +198,25 @@ this.createjs = this.createjs||{};
 
 	/**
 	 * The event that is fired when the loader encounters an error. If the error was encountered by a file, the event will
-	 * contain the item that caused the error. There may be additional properties such as the error reason on event
-	 * objects.
+	 * contain the item that caused the error. Error events always contain a <code>reason</code>, which is a key that
+	 * is defined in the PreloadJS error file, so it can be translated using <code>createjs.Log</code>.
 	 * @event error
 	 * @param {Object} target The object that dispatched the event.
 	 * @param {String} type The event type.
+	 * @param {String} reason The reason for the error, such as "PRELOAD_TIMEOUT" or "PRELOAD_HTTP_STATUS".
 	 * @param {Object} [item] The item that was being loaded that caused the error. The item was specified in
 	 * the {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}} or {{#crossLink "LoadQueue/loadManifest"}}{{/crossLink}}
 	 * call. If only a string path or tag was specified, the object will contain that value as a property.
+	 * @param {String} [loaderType] The type of loader that encountered the error, such as "XHRLoader" or "TagLoader".
+	 * @param {Number} [status] The HTTP status of the request, if the error was encountered by an XHR request.
+	 * @param {String} [statusText] The HTTP status text of the request.
+	 * @param {Object} [rawResponse] The raw response of the request, such as the content of an error page.
 	 * @param {String} [error] The error object or text.
+	 * @param {String} [dependency] The id of the dependency that caused a PRELOAD_DEPENDENCY_FAILED or
+	 * PRELOAD_DEPENDENCY_MISSING error.
+	 * @param {Array} [cycle] The ids of the items that depend on each other, for a PRELOAD_DEPENDENCY_CYCLE error.
+	 * @param {Array} [formats] The formats of the sources that could not be played, for a PRELOAD_SOUND_UNSUPPORTED
+	 * error.
 	 * @since 0.3.0
 	 */
 
@@ -248,7 +329,7 @@ this.createjs = this.createjs||{};
 	p._sendProgress = function(value) {
 		if (this._isCanceled()) { return; }
 		var event;
-		if (value instanceof Number) {
+		if (typeof value == "number") {
 			this.progress = value;
 			event = {loaded:this.progress, total:1};
 		} else {
@@ -276,7 +357,8 @@ this.createjs = this.createjs||{};
 
 	/**
 	 * Dispatch an error event (and onError callback). Please see the <code>AbstractLoader.error</code> event for
-	 * details on the event payload.
+	 * details on the event payload. The event always contains a <code>reason</code>, as well as the <code>item</code>
+	 * and <code>loaderType</code> of this loader if they are not already defined.
 	 * @method _sendError
 	 * @param {Object} event The event object containing specific error properties.
 	 * @protected
@@ -284,6 +366,9 @@ this.createjs = this.createjs||{};
 	p._sendError = function(event) {
 		if (this._isCanceled()) { return; }
 		if (event == null) { event = {}; }
+		if (event.reason == null) { event.reason = "PRELOAD_ERROR"; }
+		if (event.item == null && this._item != null) { event.item = this._item; }
+		if (event.loaderType == null) { event.loaderType = this._loaderType; }
 		event.target = this;
 		event.type = "error";
 		this.onError && this.onError(event);
@@ -317,6 +402,449 @@ this.createjs = this.createjs||{};
 		return path.match(s.FILE_PATTERN);
 	};
 
+//Responses
+	// The content that is requested by the XHRLoader, FetchLoader, and WorkerLoader is processed by the following
+	// methods, so that their results are identical. These loaders define _sendRequest, _getStatus, and _getContentType.
+
+	/**
+	 * Look up the loaded result.
+	 * @method getResult
+	 * @param {Boolean} [rawResult=false] Return a raw result instead of a formatted result. This applies to content
+	 * loaded via XHR such as scripts, XML, CSS, and Images. If there is no raw result, the formatted result will be
+	 * returned instead.
+	 * @return {Object} A result object containing the content that was loaded, such as:
+	 * <ul>
+     *      <li>An image tag (&lt;image /&gt;) for images</li>
+     *      <li>A script tag for JavaScript (&lt;script /&gt;). Note that scripts loaded with tags may be added to the
+	 *      HTML head.</li>
+     *      <li>A style tag for CSS (&lt;style /&gt;)</li>
+     *      <li>Raw text for TEXT</li>
+     *      <li>A formatted JavaScript object defined by JSON</li>
+     *      <li>An XML document</li>
+     *      <li>An binary arraybuffer loaded by XHR</li>
+     * </ul>
+	 * Note that if a raw result is requested, but not found, the result will be returned instead.
+	 */
+	p.getResult = function(rawResult) {
+		if (rawResult && this._rawResponse) { return this._rawResponse; }
+		return this._response;
+	};
+
+	/**
+	 * Get the object URL that was created from the loaded bytes of an image. Images that are loaded using XHR are
+	 * displayed using an object URL (or a data URI in browsers that do not support them), so the image is not
+	 * requested a second time. The owner of the result is responsible for releasing the URL using
+	 * <code>URL.revokeObjectURL</code> when it is no longer used.
+	 * @method getObjectURL
+	 * @return {String} The object URL, or null if one was not created.
+	 * @since 0.3.0
+	 */
+	p.getObjectURL = function() {
+		return this._objectURL;
+	};
+
+	/**
+	 * Determine if the content was loaded from the persistent cache, instead of the network.
+	 * @method isFromCache
+	 * @return {Boolean} If the content was loaded from the cache.
+	 * @since 0.3.0
+	 */
+	p.isFromCache = function() {
+		return this._cachedContentType != null;
+	};
+
+	/**
+	 * The persistent cache has been checked for the content. If it was found, the content is used without making a
+	 * request. Otherwise, the request is sent.
+	 * @method _handleCacheResult
+	 * @param {Object} entry The cached entry, or null if the content is not cached.
+	 * @private
+	 */
+	p._handleCacheResult = function(entry) {
+		if (this._isCanceled()) { return; }
+		if (entry == null) {
+			this._sendRequest();
+			return;
+		}
+
+		this.loaded = true;
+		createjs.LoadQueue._markTime(this._item, "firstByte");
+		createjs.LoadQueue._markTime(this._item, "loaded");
+		this._cachedContentType = entry.contentType || "";
+		this._response = entry.data;
+		this._sendLoadStart();
+		this._sendProgress({loaded:entry.size, total:entry.size});
+		if (this._item.stream) { this._sendChunk(entry.data, 0); }
+		if (this._generateTag()) {
+			this._sendComplete();
+		}
+	};
+
+	/**
+	 * The whole response has been received. Store it in the cache, and process it.
+	 * @method _handleResponse
+	 * @private
+	 */
+	p._handleResponse = function() {
+		createjs.LoadQueue._markTime(this._item, "loaded");
+
+		// Keep the content before it is parsed, so it can be parsed again when it is loaded from the cache.
+		if (this._cache != null) { this._uncachedResponse = this._response; }
+
+		var isComplete = this._generateTag();
+		if (isComplete) {
+			this._storeResponse();
+			this._sendComplete();
+		}
+	};
+
+	/**
+	 * Store the content that was loaded from the network in the cache. This is only done once the content has been
+	 * processed, so content that can not be parsed or displayed is not stored.
+	 * @method _storeResponse
+	 * @private
+	 */
+	p._storeResponse = function() {
+		if (this._cache == null || this._uncachedResponse == null) { return; }
+		this._cache.set(this._src, this._uncachedResponse, this._getContentType());
+		this._uncachedResponse = null;
+	};
+
+	/**
+	 * Remove content that was loaded from the cache, because it could not be processed. It is loaded from the
+	 * network next time instead.
+	 * @method _removeCachedResponse
+	 * @private
+	 */
+	p._removeCachedResponse = function() {
+		this._uncachedResponse = null;
+		if (this._cache != null && this.isFromCache()) { this._cache.remove(this._src); }
+	};
+
+	/**
+	 * Dispatch a chunk event.
+	 * @method _sendChunk
+	 * @param {String|ArrayBuffer} chunk The content that was received.
+	 * @param {Number} offset The position of the chunk in the content.
+	 * @private
+	 */
+	p._sendChunk = function(chunk, offset) {
+		if (this._isCanceled() || chunk == null) { return; }
+		this.dispatchEvent({target:this, type:"chunk", chunk:chunk, offset:offset});
+	};
+
+	/**
+	 * Combine the parts of a download into a single ArrayBuffer.
+	 * @method _joinChunks
+	 * @param {Array} chunks The ArrayBuffers to combine, in order.
+	 * @return {ArrayBuffer} The combined bytes.
+	 * @private
+	 */
+	p._joinChunks = function(chunks) {
+		if (chunks.length == 1) { return chunks[0]; }
+		if (chunks.length == 0) { return new ArrayBuffer(0); }
+
+		var length = 0;
+		for (var i=0, l=chunks.length; i<l; i++) {
+			length += chunks[i].byteLength;
+		}
+
+		var bytes = new Uint8Array(length);
+		var offset = 0;
+		for (i=0; i<l; i++) {
+			bytes.set(new Uint8Array(chunks[i]), offset);
+			offset += chunks[i].byteLength;
+		}
+		return bytes.buffer;
+	};
+
+	/**
+	 * Determine if there is an error in the current load. This checks the status of the request for problem codes. Note
+	 * that this does not check for an actual response. Only successful (2xx) and Not Modified (304) responses are
+	 * accepted. A status of 0 is returned when nothing was loaded, and is also an error.
+	 * @method _checkError
+	 * @return {Boolean} If the request status returns an error code.
+	 * @private
+	 */
+    p._checkError = function() {
+        var status = this._getStatus();
+
+        switch (status) {
+            case 304:   // Not Modified
+            case 1223:  // IE reports 204 (No Content) as 1223
+                return true;
+		}
+		return status >= 200 && status < 300;
+    };
+
+	/**
+	 * Determine the body to send with the request. If the item has a <code>body</code>, it is sent as-is, unless it
+	 * is a plain object, which is sent as JSON. Otherwise, the <code>values</code> of the item are sent as a form. A
+	 * Content-Type header is added to the provided headers if one has not been specified.
+	 * @method _getRequestBody
+	 * @param {Object} item The item being loaded.
+	 * @param {Object} headers The request headers, which may be modified.
+	 * @return {String|Object} The request body, or null if there is none.
+	 * @private
+	 */
+	p._getRequestBody = function(item, headers) {
+		var body = item.body;
+		var contentType = null;
+		if (body == null && item.values != null) {
+			body = this._formatValues(item.values);
+			contentType = "application/x-www-form-urlencoded";
+		} else if (body != null && body.constructor == Object) {
+			body = JSON.stringify(body);
+			contentType = "application/json";
+		}
+
+		if (contentType != null) {
+			for (var n in headers) {
+				if (n.toLowerCase() == "content-type") { return body; }
+			}
+			headers["Content-Type"] = contentType;
+		}
+		return body == null ? null : body;
+	};
+
+	/**
+	 * Append values to the query string of a URL.
+	 * @method _appendValues
+	 * @param {String} src The URL.
+	 * @param {Object} values An object hash of values.
+	 * @return {String} The URL with the values appended.
+	 * @private
+	 */
+	p._appendValues = function(src, values) {
+		var query = this._formatValues(values);
+		if (query == "") { return src; }
+		var index = src.indexOf("#");
+		var hash = "";
+		if (index > -1) {
+			hash = src.substr(index);
+			src = src.substr(0, index);
+		}
+		return src + (src.indexOf("?") == -1 ? "?" : "&") + query + hash;
+	};
+
+	/**
+	 * Format an object hash of values as a URL-encoded string, such as "name=value&amp;name2=value2".
+	 * @method _formatValues
+	 * @param {Object} values An object hash of values.
+	 * @return {String} The URL-encoded values.
+	 * @private
+	 */
+	p._formatValues = function(values) {
+		var params = [];
+		for (var n in values) {
+			params.push(encodeURIComponent(n) + "=" + encodeURIComponent(values[n]));
+		}
+		return params.join("&");
+	};
+
+	/**
+	 * Generate a tag for items that can be represented as tags. For example, IMAGE, SCRIPT, and LINK. This also handles
+	 * XML and SVG objects.
+	 * @method _generateTag
+	 * @return {Boolean} If a tag was generated and is ready for instantiation. If it still needs processing, or the
+	 * content could not be parsed (in which case an error is dispatched), this method returns false.
+	 * @private
+	 */
+	p._generateTag = function() {
+		var type = this._item.type;
+		var tag = this._item.tag;
+
+		switch (type) {
+			// Note: Images need to wait for onload, but do use the cache.
+			case createjs.LoadQueue.IMAGE:
+				tag.onload = createjs.proxy(this._handleTagReady,  this);
+				tag.onerror = createjs.proxy(this._handleTagError,  this);
+				tag.src = this._getImageURL();
+
+				this._rawResponse = this._response;
+				this._response = tag;
+				return false; // Images need to get an onload event first
+
+			case createjs.LoadQueue.JAVASCRIPT:
+				tag = document.createElement("script");
+	            tag.text = this._response;
+
+				this._rawResponse = this._response;
+				this._response = tag;
+				return true;
+
+			case createjs.LoadQueue.CSS:
+				// Maybe do this conditionally?
+				var head = document.getElementsByTagName("head")[0]; //Note: This is unavoidable in IE678
+				head.appendChild(tag);
+
+				if (tag.styleSheet) { // IE
+				    tag.styleSheet.cssText = this._response;
+				} else {
+					var textNode = document.createTextNode(this._response);
+				    tag.appendChild(textNode);
+				}
+
+				this._rawResponse = this._response;
+				this._response = tag;
+				return true;
+
+			case createjs.LoadQueue.XML:
+				var xml = this._parseXML(this._response, "text/xml");
+				this._response = xml;
+				return true;
+
+			case createjs.LoadQueue.SVG:
+				var xml = this._parseXML(this._response, "image/svg+xml");
+				this._rawResponse = this._response;
+				tag.appendChild(xml.documentElement);
+				this._response = tag;
+				return true;
+
+			case createjs.LoadQueue.JSON:
+			case createjs.LoadQueue.MANIFEST:
+				var json;
+				try {
+					json = JSON.parse(this._response);
+				} catch(error) {
+					this._removeCachedResponse();
+					this._sendError({reason:"PRELOAD_JSON_INVALID", error:error.message, source:error, rawResponse:this._response});
+					return false;
+				}
+
+				this._rawResponse = this._response;
+				this._response = json;
+				return true;
+
+		}
+		return true;
+	};
+
+	/**
+	 * Parse XML using the DOM. This is required when preloading XML or SVG.
+	 * @method _parseXML
+	 * @param {String} text The raw text or XML that is loaded by XHR.
+	 * @param {String} type The mime type of the XML.
+	 * @return {XML} An XML document.
+	 * @private
+	 */
+	p._parseXML = function(text, type) {
+		var xml;
+		if (window.DOMParser) {
+			var parser = new DOMParser();
+			xml = parser.parseFromString(text, type);
+		} else { // IE
+			xml = new ActiveXObject("Microsoft.XMLDOM");
+			xml.async = false;
+			xml.loadXML(text);
+		}
+		return xml;
+	};
+
+	/**
+	 * Get the URL that an image tag uses to display the loaded bytes. An object URL is created from a Blob of the
+	 * bytes if the browser supports it, otherwise a data URI is used. If the response is not binary (for example, in
+	 * browsers that only support XHR level 1), the image source is used, which relies on the browser cache.
+	 * @method _getImageURL
+	 * @return {String} The URL to set as the image source.
+	 * @private
+	 */
+	p._getImageURL = function() {
+		var data = this._response;
+		if (!window.ArrayBuffer || !(data instanceof ArrayBuffer)) { return this._src; }
+
+		var type = this._getImageType();
+		if (window.Blob && window.URL && URL.createObjectURL) {
+			try {
+				this._objectURL = URL.createObjectURL(new Blob([data], {type:type}));
+				return this._objectURL;
+			} catch (error) {
+				// Some older browsers do not support the Blob constructor.
+			}
+		}
+		if (window.btoa && window.Uint8Array) {
+			return "data:" + type + ";base64," + btoa(this._getBinaryString(data));
+		}
+		return this._src;
+	};
+
+	/**
+	 * Determine the mime type of a loaded image. The Content-Type of the response is used if it is an image type,
+	 * otherwise it is determined by the file extension.
+	 * @method _getImageType
+	 * @return {String} The mime type, such as "image/png".
+	 * @private
+	 */
+	p._getImageType = function() {
+		var type = this._getContentType();
+		if (type != null && type.indexOf("image/") == 0) { return type; }
+
+		switch (this._item.ext) {
+			case "jpg":
+				return "image/jpeg";
+			case "svg":
+				return "image/svg+xml";
+			case null:
+			case undefined:
+				return "image/png";
+			default:
+				return "image/" + this._item.ext;
+		}
+	};
+
+	/**
+	 * Convert binary data to a string with one character per byte, which can be base64 encoded. The bytes are
+	 * converted in chunks, to avoid exceeding the argument limit of <code>String.fromCharCode</code>.
+	 * @method _getBinaryString
+	 * @param {ArrayBuffer} data The binary data.
+	 * @return {String} The binary string.
+	 * @private
+	 */
+	p._getBinaryString = function(data) {
+		var bytes = new Uint8Array(data);
+		var chunks = [];
+		for (var i=0, l=bytes.length; i<l; i+=0x8000) {
+			chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, Math.min(i+0x8000, l))));
+		}
+		return chunks.join("");
+	};
+
+	/**
+	 * Release the object URL that was created for an image.
+	 * @method _revokeObjectURL
+	 * @private
+	 */
+	p._revokeObjectURL = function() {
+		if (this._objectURL == null) { return; }
+		URL.revokeObjectURL(this._objectURL);
+		this._objectURL = null;
+	};
+
+	/**
+	 * A generated tag is now ready for use.
+	 * @method _handleTagReady
+	 * @private
+	 */
+	p._handleTagReady = function() {
+		this._item.tag.onerror = null;
+		createjs.LoadQueue._markTime(this._item, "ready");
+		this._storeResponse();
+		this._sendComplete();
+	}
+
+	/**
+	 * A generated tag could not use the loaded content. For example, the loaded bytes are not a valid image.
+	 * @method _handleTagError
+	 * @private
+	 */
+	p._handleTagError = function() {
+		var tag = this._item.tag;
+		tag.onload = tag.onerror = null;
+		this._revokeObjectURL();
+		this._removeCachedResponse();
+		this._sendError({reason:"PRELOAD_IMAGE_INVALID", rawResponse:this._rawResponse});
+	};
+
 	/**
 	 * @method toString
 	 * @return {String} a string representation of the instance.
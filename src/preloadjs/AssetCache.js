@@ -0,0 +1,614 @@
+/*
+* AssetCache for PreloadJS
+* Visit http://createjs.com/ for documentation, updates and examples.
+*
+*
+* Copyright (c) 2012 gskinner.com, inc.
+*
+* Permission is hereby granted, free of charge, to any person
+* obtaining a copy of this software and associated documentation
+* files (the "Software"), to deal in the Software without
+* restriction, including without limitation the rights to use,
+* copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the
+* Software is furnished to do so, subject to the following
+* conditions:
+*
+* The above copyright notice and this permission notice shall be
+* included in all copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+* EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+* OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+* HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+* WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+* FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+* OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+/**
+ * @module PreloadJS
+ */
+
+// namespace:
+this.createjs = this.createjs||{};
+
+(function() {
+
+	/**
+	 * A persistent cache for loaded content, which is stored using Cache Storage if it is available, or IndexedDB
+	 * otherwise. Content is stored using the URL it was loaded from, and the <code>version</code> of the cache. Content
+	 * that was stored using a different version, or that is older than the <code>maxAge</code>, is not used.
+	 *
+	 * A cache is usually created by a {{#crossLink "LoadQueue"}}{{/crossLink}} using
+	 * {{#crossLink "LoadQueue/setCache"}}{{/crossLink}}, which stores the content loaded using XHR, and loads it from
+	 * the cache in later sessions without using the network.
+	 *
+	 *      var queue = new createjs.LoadQueue();
+	 *      queue.setCache({version:"1.2", maxSize:50*1024*1024});
+	 *      queue.loadManifest("assets/manifest.json");
+	 *
+	 * All methods are asynchronous, and call an optional callback when they are done. Storage errors (for example,
+	 * when the quota is exceeded, or storage is disabled in private browsing) are not reported. Content that can not
+	 * be read is treated as if it was not cached.
+	 * @class AssetCache
+	 * @constructor
+	 * @param {Object} [options] An object containing the cache options:
+	 * <ul>
+	 *     <li>name: The name of the cache or database. The default is "preloadjs".</li>
+	 *     <li>version: The version of the content. Cached content with a different version is not used, and is
+	 *     removed when the cache is pruned.</li>
+	 *     <li>maxSize: The maximum size of the cached content, in bytes. When it is exceeded, the oldest content is
+	 *     removed. The default is 0, which does not limit the size.</li>
+	 *     <li>maxAge: The maximum age of cached content, in milliseconds. The default is 0, which does not expire
+	 *     content.</li>
+	 *     <li>storage: The storage to use, either <code>AssetCache.CACHE_STORAGE</code> or
+	 *     <code>AssetCache.INDEXED_DB</code>. By default, the first one that is supported is used.</li>
+	 * </ul>
+	 * @since 0.3.0
+	 */
+	var AssetCache = function(options) {
+		this.init(options);
+	};
+
+	var p = AssetCache.prototype;
+	var s = AssetCache;
+
+	/**
+	 * The storage type that uses the Cache Storage API (<code>window.caches</code>).
+	 * @property CACHE_STORAGE
+	 * @type {String}
+	 * @default caches
+	 * @static
+	 */
+	s.CACHE_STORAGE = "caches";
+
+	/**
+	 * The storage type that uses IndexedDB (<code>window.indexedDB</code>).
+	 * @property INDEXED_DB
+	 * @type {String}
+	 * @default indexedDB
+	 * @static
+	 */
+	s.INDEXED_DB = "indexedDB";
+
+	/**
+	 * The prefix of the headers that store the details of content in Cache Storage.
+	 * @property HEADER_PREFIX
+	 * @type {String}
+	 * @default X-PreloadJS-
+	 * @static
+	 * @private
+	 */
+	s.HEADER_PREFIX = "X-PreloadJS-";
+
+	/**
+	 * The time in milliseconds that the cache waits after content is stored before it is pruned. Pruning reads the
+	 * details of every entry, so content that is stored during the delay (such as the items of a manifest) is pruned
+	 * together, instead of once per item.
+	 * @property PRUNE_DELAY
+	 * @type {Number}
+	 * @default 1000
+	 * @static
+	 */
+	s.PRUNE_DELAY = 1000;
+
+	/**
+	 * Determine the storage that the browser supports.
+	 * @method getStorage
+	 * @return {String} Either <code>AssetCache.CACHE_STORAGE</code>, <code>AssetCache.INDEXED_DB</code>, or null if
+	 * persistent storage is not supported.
+	 * @static
+	 */
+	s.getStorage = function() {
+		if (window.caches != null && window.Response != null && window.Promise != null) { return s.CACHE_STORAGE; }
+		if (window.indexedDB != null) { return s.INDEXED_DB; }
+		return null;
+	};
+
+	/**
+	 * Determine if the browser supports a persistent cache.
+	 * @method isSupported
+	 * @return {Boolean} If a persistent cache is supported.
+	 * @static
+	 */
+	s.isSupported = function() {
+		return s.getStorage() != null;
+	};
+
+	/**
+	 * The name of the cache or database.
+	 * @property name
+	 * @type {String}
+	 * @default preloadjs
+	 */
+	p.name = "preloadjs";
+
+	/**
+	 * The version of the content. Cached content with a different version is not used.
+	 * @property version
+	 * @type {String}
+	 * @default null
+	 */
+	p.version = null;
+
+	/**
+	 * The maximum size of the cached content, in bytes. The oldest content is removed when it is exceeded. A value of 0
+	 * does not limit the size.
+	 * @property maxSize
+	 * @type {Number}
+	 * @default 0
+	 */
+	p.maxSize = 0;
+
+	/**
+	 * The maximum age of cached content, in milliseconds. A value of 0 does not expire content.
+	 * @property maxAge
+	 * @type {Number}
+	 * @default 0
+	 */
+	p.maxAge = 0;
+
+	/**
+	 * The storage that is used, either <code>AssetCache.CACHE_STORAGE</code> or <code>AssetCache.INDEXED_DB</code>.
+	 * This is null if persistent storage is not supported.
+	 * @property storage
+	 * @type {String}
+	 * @readonly
+	 */
+	p.storage = null;
+
+	/**
+	 * The open IndexedDB database.
+	 * @property _db
+	 * @type {IDBDatabase}
+	 * @private
+	 */
+	p._db = null;
+
+	/**
+	 * Callbacks that are waiting for the IndexedDB database to open.
+	 * @property _dbCallbacks
+	 * @type {Array}
+	 * @private
+	 */
+	p._dbCallbacks = null;
+
+	/**
+	 * The timeout of the prune that is scheduled after content is stored.
+	 * @property _pruneTimeout
+	 * @type {Number}
+	 * @private
+	 */
+	p._pruneTimeout = null;
+
+	/**
+	 * Initialize the cache. This is called by the constructor.
+	 * @method init
+	 * @param {Object} [options] The cache options.
+	 * @private
+	 */
+	p.init = function(options) {
+		options = options || {};
+		if (options.name != null) { this.name = options.name; }
+		if (options.version != null) { this.version = String(options.version); }
+		if (options.maxSize != null) { this.maxSize = options.maxSize; }
+		if (options.maxAge != null) { this.maxAge = options.maxAge; }
+		this.storage = options.storage || s.getStorage();
+	};
+
+	/**
+	 * Look up cached content.
+	 * @method get
+	 * @param {String} url The URL the content was loaded from.
+	 * @param {Function} callback The function that is called with the cached entry, or null if the content is not
+	 * cached, has a different version, or has expired. The entry contains the <code>url</code>, <code>version</code>,
+	 * <code>data</code> (a String or ArrayBuffer), <code>contentType</code>, <code>size</code>, and the
+	 * <code>time</code> it was stored.
+	 */
+	p.get = function(url, callback) {
+		var _this = this;
+		this._read(url, function(entry) {
+			if (entry != null && !_this._isValid(entry, new Date().getTime())) {
+				_this._remove([url]);
+				entry = null;
+			}
+			callback(entry);
+		});
+	};
+
+	/**
+	 * Store content in the cache. Shortly after content is stored, the cache is pruned to remove expired content, and
+	 * content that exceeds the <code>maxSize</code>. Please see <code>AssetCache.PRUNE_DELAY</code>.
+	 * @method set
+	 * @param {String} url The URL the content was loaded from.
+	 * @param {String | ArrayBuffer} data The loaded content.
+	 * @param {String} [contentType] The Content-Type of the content.
+	 * @param {Function} [callback] The function that is called when the content is stored, with a Boolean that
+	 * indicates if it was stored successfully.
+	 */
+	p.set = function(url, data, contentType, callback) {
+		var entry = {
+			url: url,
+			version: this.version,
+			data: data,
+			binary: typeof data != "string",
+			contentType: contentType || "",
+			size: (data.byteLength != null) ? data.byteLength : data.length,
+			time: new Date().getTime()
+		};
+
+		// Content that can never fit is not stored.
+		if (this.maxSize > 0 && entry.size > this.maxSize) {
+			callback && callback(false);
+			return;
+		}
+
+		var _this = this;
+		this._write(entry, function(success) {
+			_this._schedulePrune();
+			callback && callback(success);
+		});
+	};
+
+	/**
+	 * Remove content from the cache.
+	 * @method remove
+	 * @param {String} url The URL the content was loaded from.
+	 * @param {Function} [callback] The function that is called when the content is removed.
+	 */
+	p.remove = function(url, callback) {
+		this._remove([url], callback);
+	};
+
+	/**
+	 * Remove content that has a different version, has expired, or exceeds the <code>maxSize</code>. The oldest
+	 * content is removed first.
+	 * @method prune
+	 * @param {Function} [callback] The function that is called when the cache is pruned.
+	 */
+	p.prune = function(callback) {
+		var _this = this;
+		this._readInfo(function(entries) {
+			var now = new Date().getTime();
+			var urls = [];
+			var size = 0;
+
+			entries.sort(function(a, b) { return b.time - a.time; });
+			for (var i=0, l=entries.length; i<l; i++) {
+				var entry = entries[i];
+				if (!_this._isValid(entry, now) || _this.maxSize > 0 && size + entry.size > _this.maxSize) {
+					urls.push(entry.url);
+				} else {
+					size += entry.size;
+				}
+			}
+			_this._remove(urls, callback);
+		});
+	};
+
+	/**
+	 * Remove all content from the cache.
+	 * @method clear
+	 * @param {Function} [callback] The function that is called when the cache is cleared.
+	 */
+	p.clear = function(callback) {
+		var done = function() { callback && callback(); };
+		try {
+			if (this.storage == s.CACHE_STORAGE) {
+				caches["delete"](this.name).then(done, done);
+				return;
+			} else if (this.storage == s.INDEXED_DB) {
+				this._transaction(["assets", "info"], "readwrite", function(transaction) {
+					transaction.objectStore("assets").clear();
+					transaction.objectStore("info").clear();
+				}, done);
+				return;
+			}
+		} catch (error) {}
+		setTimeout(done, 0);
+	};
+
+	/**
+	 * Prune the cache after the <code>PRUNE_DELAY</code>, unless a prune is already scheduled.
+	 * @method _schedulePrune
+	 * @private
+	 */
+	p._schedulePrune = function() {
+		if (this._pruneTimeout != null) { return; }
+		var _this = this;
+		this._pruneTimeout = setTimeout(function() {
+			_this._pruneTimeout = null;
+			_this.prune();
+		}, s.PRUNE_DELAY);
+	};
+
+	/**
+	 * Determine if an entry can be used. Entries must have the same version as the cache, and must not be expired.
+	 * @method _isValid
+	 * @param {Object} entry The cached entry.
+	 * @param {Number} now The current time.
+	 * @return {Boolean} If the entry can be used.
+	 * @private
+	 */
+	p._isValid = function(entry, now) {
+		if ((entry.version || null) != this.version) { return false; }
+		return !(this.maxAge > 0 && now - entry.time > this.maxAge);
+	};
+
+	/**
+	 * Read an entry, including its data.
+	 * @method _read
+	 * @param {String} url The URL of the entry.
+	 * @param {Function} callback The function that is called with the entry, or null if it can not be read.
+	 * @private
+	 */
+	p._read = function(url, callback) {
+		var _this = this;
+		var done = function(entry) { callback(entry || null); };
+		try {
+			if (this.storage == s.CACHE_STORAGE) {
+				caches.open(this.name).then(function(cache) {
+					return cache.match(url);
+				}).then(function(response) {
+					if (response == null) { return null; }
+					var entry = _this._getResponseInfo(url, response);
+					return (entry.binary ? response.arrayBuffer() : response.text()).then(function(data) {
+						entry.data = data;
+						return entry;
+					});
+				}).then(done, function() { done(null); });
+				return;
+
+			} else if (this.storage == s.INDEXED_DB) {
+				var entry = null;
+				var data = null;
+				this._transaction(["assets", "info"], "readonly", function(transaction) {
+					var request = transaction.objectStore("info").get(url);
+					request.onsuccess = function() { entry = request.result; };
+					var dataRequest = transaction.objectStore("assets").get(url);
+					dataRequest.onsuccess = function() { data = dataRequest.result; };
+				}, function(success) {
+					if (!success || entry == null || data == null) { done(null); return; }
+					entry.data = data.data;
+					done(entry);
+				});
+				return;
+			}
+		} catch (error) {}
+		setTimeout(done, 0);
+	};
+
+	/**
+	 * Write an entry. In IndexedDB, the details of the entry are stored separately from the data, so they can be
+	 * read without reading the data.
+	 * @method _write
+	 * @param {Object} entry The entry to write.
+	 * @param {Function} callback The function that is called with a Boolean that indicates if the entry was written.
+	 * @private
+	 */
+	p._write = function(entry, callback) {
+		try {
+			if (this.storage == s.CACHE_STORAGE) {
+				var headers = {"Content-Type": entry.contentType};
+				headers[s.HEADER_PREFIX + "Version"] = entry.version || "";
+				headers[s.HEADER_PREFIX + "Binary"] = entry.binary ? "1" : "0";
+				headers[s.HEADER_PREFIX + "Size"] = String(entry.size);
+				headers[s.HEADER_PREFIX + "Time"] = String(entry.time);
+				var response = new Response(entry.data, {headers: headers});
+
+				caches.open(this.name).then(function(cache) {
+					return cache.put(entry.url, response);
+				}).then(function() { callback(true); }, function() { callback(false); });
+				return;
+
+			} else if (this.storage == s.INDEXED_DB) {
+				this._transaction(["assets", "info"], "readwrite", function(transaction) {
+					transaction.objectStore("assets").put({url:entry.url, data:entry.data});
+					transaction.objectStore("info").put({
+						url: entry.url,
+						version: entry.version,
+						binary: entry.binary,
+						contentType: entry.contentType,
+						size: entry.size,
+						time: entry.time
+					});
+				}, callback);
+				return;
+			}
+		} catch (error) {}
+		setTimeout(function() { callback(false); }, 0);
+	};
+
+	/**
+	 * Read the details of all entries, without their data.
+	 * @method _readInfo
+	 * @param {Function} callback The function that is called with an Array of entries.
+	 * @private
+	 */
+	p._readInfo = function(callback) {
+		var _this = this;
+		var entries = [];
+		var done = function() { callback(entries); };
+		try {
+			if (this.storage == s.CACHE_STORAGE) {
+				caches.open(this.name).then(function(cache) {
+					return cache.keys().then(function(requests) {
+						var responses = [];
+						for (var i=0, l=requests.length; i<l; i++) {
+							responses.push(cache.match(requests[i]));
+						}
+						return Promise.all(responses).then(function(responses) {
+							for (var i=0, l=responses.length; i<l; i++) {
+								if (responses[i] == null) { continue; }
+								entries.push(_this._getResponseInfo(requests[i].url, responses[i]));
+							}
+						});
+					});
+				}).then(done, done);
+				return;
+
+			} else if (this.storage == s.INDEXED_DB) {
+				this._transaction(["info"], "readonly", function(transaction) {
+					var request = transaction.objectStore("info").openCursor();
+					request.onsuccess = function() {
+						var cursor = request.result;
+						if (cursor == null) { return; }
+						entries.push(cursor.value);
+						cursor["continue"]();
+					};
+				}, done);
+				return;
+			}
+		} catch (error) {}
+		setTimeout(done, 0);
+	};
+
+	/**
+	 * Remove entries.
+	 * @method _remove
+	 * @param {Array} urls The URLs of the entries to remove.
+	 * @param {Function} [callback] The function that is called when the entries are removed.
+	 * @private
+	 */
+	p._remove = function(urls, callback) {
+		var done = function() { callback && callback(); };
+		try {
+			if (urls.length == 0) {
+				// Nothing to remove.
+			} else if (this.storage == s.CACHE_STORAGE) {
+				caches.open(this.name).then(function(cache) {
+					var deletes = [];
+					for (var i=0, l=urls.length; i<l; i++) {
+						deletes.push(cache["delete"](urls[i]));
+					}
+					return Promise.all(deletes);
+				}).then(done, done);
+				return;
+
+			} else if (this.storage == s.INDEXED_DB) {
+				this._transaction(["assets", "info"], "readwrite", function(transaction) {
+					for (var i=0, l=urls.length; i<l; i++) {
+						transaction.objectStore("assets")["delete"](urls[i]);
+						transaction.objectStore("info")["delete"](urls[i]);
+					}
+				}, done);
+				return;
+			}
+		} catch (error) {}
+		setTimeout(done, 0);
+	};
+
+	/**
+	 * Get the details of an entry that is stored in Cache Storage from the headers of the response.
+	 * @method _getResponseInfo
+	 * @param {String} url The URL of the entry.
+	 * @param {Response} response The cached response.
+	 * @return {Object} The entry, without its data.
+	 * @private
+	 */
+	p._getResponseInfo = function(url, response) {
+		var headers = response.headers;
+		return {
+			url: url,
+			version: headers.get(s.HEADER_PREFIX + "Version") || null,
+			binary: headers.get(s.HEADER_PREFIX + "Binary") == "1",
+			contentType: headers.get("Content-Type") || "",
+			size: parseInt(headers.get(s.HEADER_PREFIX + "Size")) || 0,
+			time: parseInt(headers.get(s.HEADER_PREFIX + "Time")) || 0
+		};
+	};
+
+	/**
+	 * Run an IndexedDB transaction once the database is open.
+	 * @method _transaction
+	 * @param {Array} stores The names of the object stores used by the transaction.
+	 * @param {String} mode The transaction mode, either "readonly" or "readwrite".
+	 * @param {Function} handler The function that is called with the transaction to make requests.
+	 * @param {Function} callback The function that is called with a Boolean that indicates if the transaction
+	 * completed successfully.
+	 * @private
+	 */
+	p._transaction = function(stores, mode, handler, callback) {
+		this._openDatabase(function(db) {
+			if (db == null) { callback(false); return; }
+			try {
+				var transaction = db.transaction(stores, mode);
+				transaction.oncomplete = function() { callback(true); };
+				transaction.onerror = transaction.onabort = function() { callback(false); };
+				handler(transaction);
+			} catch (error) {
+				callback(false);
+			}
+		});
+	};
+
+	/**
+	 * Open the IndexedDB database, creating the object stores if necessary.
+	 * @method _openDatabase
+	 * @param {Function} callback The function that is called with the database, or null if it can not be opened.
+	 * @private
+	 */
+	p._openDatabase = function(callback) {
+		if (this._db != null) {
+			callback(this._db);
+			return;
+		}
+		if (this._dbCallbacks != null) {
+			this._dbCallbacks.push(callback);
+			return;
+		}
+		this._dbCallbacks = [callback];
+
+		var _this = this;
+		var done = function(db) {
+			_this._db = db;
+			var callbacks = _this._dbCallbacks;
+			_this._dbCallbacks = null;
+			for (var i=0, l=callbacks.length; i<l; i++) {
+				callbacks[i](db);
+			}
+		};
+
+		try {
+			var request = indexedDB.open(this.name, 1);
+			request.onupgradeneeded = function() {
+				var db = request.result;
+				db.createObjectStore("assets", {keyPath:"url"});
+				db.createObjectStore("info", {keyPath:"url"});
+			};
+			request.onsuccess = function() { done(request.result); };
+			request.onerror = function() { done(null); };
+		} catch (error) {
+			setTimeout(function() { done(null); }, 0);
+		}
+	};
+
+	p.toString = function() {
+		return "[PreloadJS AssetCache]";
+	};
+
+	createjs.AssetCache = AssetCache;
+
+}());
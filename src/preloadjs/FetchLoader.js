@@ -0,0 +1,416 @@
+/*
+* FetchLoader for PreloadJS
+* Visit http://createjs.com/ for documentation, updates and examples.
+*
+*
+* Copyright (c) 2012 gskinner.com, inc.
+*
+* Permission is hereby granted, free of charge, to any person
+* obtaining a copy of this software and associated documentation
+* files (the "Software"), to deal in the Software without
+* restriction, including without limitation the rights to use,
+* copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the
+* Software is furnished to do so, subject to the following
+* conditions:
+*
+* The above copyright notice and this permission notice shall be
+* included in all copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+* EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+* OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+* HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+* WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+* FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+* OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+
+/**
+ * @module PreloadJS
+ */
+
+// namespace:
+this.createjs = this.createjs||{};
+
+(function() {
+
+	/**
+	 * A preloader that loads items using the <code>fetch</code> API, which is used instead of the
+	 * {{#crossLink "XHRLoader"}}{{/crossLink}} in browsers that support it. The content is read as a stream, so
+	 * progress and <code>chunk</code> events are dispatched for both text and binary content, and requests can be
+	 * aborted using an <code>AbortController</code>. The results and events are the same as those of the
+	 * XHRLoader, so the {{#crossLink "LoadQueue"}}{{/crossLink}} handles both in the same way.
+	 *
+	 * In addition to the request properties supported by XHRLoader, items can define the fetch <code>mode</code>
+	 * (such as "cors" or "same-origin"), <code>credentials</code> ("omit", "same-origin", or "include"),
+	 * <code>redirect</code> policy ("follow", "error", or "manual"), and subresource <code>integrity</code>.
+	 * @class FetchLoader
+	 * @constructor
+	 * @param {Object} file The object that defines the file to load. Please see the {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}
+	 * for an overview of supported file properties.
+	 * @param {String} [src] The URL to request. If this is not specified, the <code>src</code> of the file is used.
+	 * @param {AssetCache} [cache] A persistent cache that the content is loaded from if possible, and stored in once
+	 * it is loaded. Please see {{#crossLink "LoadQueue/setCache"}}{{/crossLink}}.
+	 * @extends AbstractLoader
+	 * @since 0.3.0
+	 */
+	var FetchLoader = function (file, src, cache) {
+		this.init(file, src, cache);
+	};
+
+	var p = FetchLoader.prototype = new createjs.AbstractLoader();
+	var s = FetchLoader;
+
+	/**
+	 * Determine if the browser supports loading using fetch.
+	 * @method isSupported
+	 * @return {Boolean} If fetch is supported.
+	 * @static
+	 */
+	s.isSupported = function() {
+		return window.fetch != null && window.Promise != null;
+	};
+
+	// Overrides property in AbstractLoader
+	p._loaderType = "FetchLoader";
+
+	//Protected
+	/**
+	 * The URL that is requested, including any <code>values</code> of a GET request.
+	 * @property _requestURL
+	 * @type {String}
+	 * @private
+	 */
+	p._requestURL = null;
+
+	/**
+	 * The options that are passed to <code>fetch</code>, such as the method, headers, and body.
+	 * @property _options
+	 * @type {Object}
+	 * @private
+	 */
+	p._options = null;
+
+	/**
+	 * The response, once its headers have been received. This provides the status and headers.
+	 * @property _fetchResponse
+	 * @type {Response}
+	 * @private
+	 */
+	p._fetchResponse = null;
+
+	/**
+	 * The controller that aborts the request, if the browser supports it.
+	 * @property _abortController
+	 * @type {AbortController}
+	 * @private
+	 */
+	p._abortController = null;
+
+	/**
+	 * A timeout that fails the load if no response is received within <code>LoadQueue.TIMEOUT_TIME</code>.
+	 * @property _loadTimeout
+	 * @type {Number}
+	 * @private
+	 */
+	p._loadTimeout = null;
+
+	// Overrides abstract method in AbstractLoader
+	p.init = function (item, src, cache) {
+		this._item = item;
+		this._src = (src != null) ? src : item.src;
+		this._cache = cache || null;
+		this._createRequest(item);
+	};
+
+	// Overrides abstract method in AbstractLoader
+	p.cancel = function() {
+		this.canceled = true;
+		clearTimeout(this._loadTimeout);
+		this._revokeObjectURL();
+		if (this._abortController != null) { this._abortController.abort(); }
+	};
+
+	// Overrides abstract method in AbstractLoader
+	p.load = function() {
+		// Items with fetch options are loaded using a FetchLoader even if the browser does not support fetch.
+		if (!s.isSupported()) {
+			this._sendError({reason:"PRELOAD_REQUEST_UNSUPPORTED"});
+			return;
+		}
+
+		if (this._cache != null) {
+			var _this = this;
+			this._cache.get(this._src, function(entry) {
+				_this._handleCacheResult(entry);
+			});
+			return;
+		}
+		this._sendRequest();
+	};
+
+	/**
+	 * Determine the URL and options of the request. The method, headers, body, and values of the item are used in
+	 * the same way as XHRLoader, and the fetch-specific properties of the item are added.
+	 * @method _createRequest
+	 * @param {Object} item The requested item that is being loaded.
+	 * @private
+	 */
+	p._createRequest = function(item) {
+		var method = (item.method || "GET").toUpperCase();
+		var src = this._src;
+		var hasBody = (method != "GET" && method != "HEAD");
+		if (!hasBody && item.values != null) {
+			src = this._appendValues(src, item.values);
+		}
+
+		var headers = {};
+		for (var n in item.headers) { headers[n] = item.headers[n]; }
+		var options = {method:method, headers:headers};
+		if (hasBody) {
+			var body = this._getRequestBody(item, headers);
+			if (body != null) { options.body = body; }
+		}
+
+		options.credentials = item.credentials || (item.withCredentials ? "include" : "same-origin");
+		if (item.mode != null) { options.mode = item.mode; }
+		if (item.redirect != null) { options.redirect = item.redirect; }
+		if (item.integrity != null) { options.integrity = item.integrity; }
+
+		this._requestURL = src;
+		this._options = options;
+	};
+
+	/**
+	 * Send the request. The load fails if no response is received before <code>LoadQueue.TIMEOUT_TIME</code>.
+	 * @method _sendRequest
+	 * @private
+	 */
+	p._sendRequest = function() {
+		if (window.AbortController) {
+			this._abortController = new AbortController();
+			this._options.signal = this._abortController.signal;
+		}
+		this._loadTimeout = setTimeout(createjs.proxy(this._handleTimeout, this), createjs.LoadQueue.TIMEOUT_TIME);
+		this._sendLoadStart();
+
+		var _this = this;
+		var promise;
+		try {
+			promise = fetch(this._requestURL, this._options);
+		} catch (error) { // Invalid options, such as a body on a GET request, throw immediately in some browsers.
+			this._handleFetchError(error);
+			return;
+		}
+		promise.then(function(response) {
+			_this._handleFetchResponse(response);
+		}, function(error) {
+			_this._handleFetchError(error);
+		});
+	};
+
+	/**
+	 * The headers of the response have been received. The body is read as a stream if possible, so that progress and
+	 * <code>chunk</code> events can be dispatched. Error responses are read as text, so they can be included in the
+	 * error event.
+	 * @method _handleFetchResponse
+	 * @param {Response} response The fetch response.
+	 * @private
+	 */
+	p._handleFetchResponse = function(response) {
+		if (this._isCanceled() || this.loaded) { return; }
+		clearTimeout(this._loadTimeout);
+		this._fetchResponse = response;
+		createjs.LoadQueue._markTime(this._item, "firstByte");
+
+		var _this = this;
+		var decoder = this._createDecoder();
+		if (!this._checkError()) {
+			(decoder != null ? response.arrayBuffer() : response.text()).then(function(data) {
+				_this._handleFetchFailure(decoder != null ? decoder.decode(data) : data);
+			}, function(error) {
+				_this._handleFetchFailure(null);
+			});
+			return;
+		}
+
+		var isBinary = createjs.LoadQueue.isBinary(this._item.type);
+		if (response.body == null || response.body.getReader == null || (!isBinary && decoder == null)) {
+			(isBinary || decoder != null ? response.arrayBuffer() : response.text()).then(function(data) {
+				if (_this._isCanceled()) { return; }
+				if (!isBinary && decoder != null) { data = decoder.decode(data); }
+				if (_this._item.stream) { _this._sendChunk(data, 0); }
+				_this._handleFetchComplete([data], isBinary);
+			}, function(error) {
+				_this._handleFetchError(error);
+			});
+			return;
+		}
+
+		this._readStream(response.body.getReader(), isBinary ? null : decoder);
+	};
+
+	/**
+	 * Create a decoder for text content, which uses the charset of the Content-Type in the same way as XHR. Content
+	 * without a charset, or with a charset that the browser does not support, is decoded as UTF-8.
+	 * @method _createDecoder
+	 * @return {TextDecoder} The decoder, or null if the browser does not support TextDecoder.
+	 * @private
+	 */
+	p._createDecoder = function() {
+		if (!window.TextDecoder) { return null; }
+		var match = /;\s*charset\s*=\s*"?([^";\s]+)/i.exec(this._getContentType() || "");
+		try {
+			return new TextDecoder(match ? match[1] : "utf-8");
+		} catch (error) { // Unknown charsets throw a RangeError.
+			return new TextDecoder("utf-8");
+		}
+	};
+
+	/**
+	 * Read the body of the response as it arrives. Progress is dispatched when the size of the content is known, and
+	 * the chunks are dispatched if the <code>stream</code> property of the item is set.
+	 * @method _readStream
+	 * @param {ReadableStreamDefaultReader} reader The reader of the response body.
+	 * @param {TextDecoder} [decoder] The decoder for text content. Binary content is not decoded.
+	 * @private
+	 */
+	p._readStream = function(reader, decoder) {
+		var isBinary = (decoder == null);
+		var total = Number(this._fetchResponse.headers.get("Content-Length")) || 0;
+		var chunks = [];
+		var loaded = 0, offset = 0;
+
+		var _this = this;
+		var read = function() {
+			reader.read().then(function(result) {
+				if (_this._isCanceled()) { return; }
+				if (result.done) {
+					if (!isBinary) { chunks.push(decoder.decode()); }
+					_this._handleFetchComplete(chunks, isBinary);
+					return;
+				}
+
+				var bytes = result.value;
+				loaded += bytes.byteLength;
+				var chunk = isBinary ? bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+						: decoder.decode(bytes, {stream:true});
+				chunks.push(chunk);
+				if (_this._item.stream) { _this._sendChunk(chunk, offset); }
+				offset += isBinary ? chunk.byteLength : chunk.length;
+
+				// The Content-Length is the compressed size if the response was compressed, so it may be exceeded.
+				if (total > 0 && loaded <= total) { _this._sendProgress({loaded:loaded, total:total}); }
+				read();
+			}, function(error) {
+				_this._handleFetchError(error);
+			});
+		};
+		read();
+	};
+
+	/**
+	 * The body of the response has been read. The chunks are combined into the response, which is processed in the
+	 * same way as an XHR response.
+	 * @method _handleFetchComplete
+	 * @param {Array} chunks The chunks of the body.
+	 * @param {Boolean} isBinary If the chunks are ArrayBuffers, instead of strings.
+	 * @private
+	 */
+	p._handleFetchComplete = function(chunks, isBinary) {
+		this.loaded = true;
+		this._response = isBinary ? this._joinChunks(chunks) : chunks.join("");
+		this._handleResponse();
+	};
+
+	/**
+	 * The server responded with an error status.
+	 * @method _handleFetchFailure
+	 * @param {String} text The content of the error response, such as an error page.
+	 * @private
+	 */
+	p._handleFetchFailure = function(text) {
+		if (this._isCanceled()) { return; }
+		this.loaded = true;
+		this._response = text;
+		this._sendRequestError(this._getStatus() == 0 ? "PRELOAD_NETWORK_ERROR" : "PRELOAD_HTTP_STATUS");
+		this._response = null;
+	};
+
+	/**
+	 * The request failed, because of a network error, an invalid request, or an <code>integrity</code> mismatch.
+	 * Errors caused by canceling the request are ignored.
+	 * @method _handleFetchError
+	 * @param {Error} error The error.
+	 * @private
+	 */
+	p._handleFetchError = function(error) {
+		if (this._isCanceled() || this.loaded) { return; }
+		clearTimeout(this._loadTimeout);
+		this.loaded = true;
+		this._sendRequestError("PRELOAD_NETWORK_ERROR", error);
+	};
+
+	/**
+	 * The request did not respond before <code>LoadQueue.TIMEOUT_TIME</code>.
+	 * @method _handleTimeout
+	 * @private
+	 */
+	p._handleTimeout = function() {
+		if (this.loaded) { return; }
+		this.loaded = true;
+		if (this._abortController != null) { this._abortController.abort(); }
+		this._sendRequestError("PRELOAD_TIMEOUT");
+	};
+
+	/**
+	 * Get the HTTP status of the response.
+	 * @method _getStatus
+	 * @return {Number} The HTTP status, or 0 if no response was received. Opaque responses (see the
+	 * <code>mode</code> property) also have a status of 0.
+	 * @private
+	 */
+	p._getStatus = function() {
+		return (this._fetchResponse != null) ? this._fetchResponse.status : 0;
+	};
+
+	/**
+	 * Get the Content-Type of the response, or of the cached content if it was loaded from the cache.
+	 * @method _getContentType
+	 * @return {String} The Content-Type, or null if it is not available.
+	 * @private
+	 */
+	p._getContentType = function() {
+		if (this._cachedContentType != null) { return this._cachedContentType; }
+		if (this._fetchResponse == null) { return null; }
+		return this._fetchResponse.headers.get("Content-Type");
+	};
+
+	/**
+	 * Dispatch an error event that contains the details of the response. Please see
+	 * {{#crossLink "XHRLoader/_sendRequestError"}}{{/crossLink}}.
+	 * @method _sendRequestError
+	 * @param {String} reason The reason for the error.
+	 * @param {Object} [source] The original error that was thrown, if there was one.
+	 * @private
+	 */
+	p._sendRequestError = function(reason, source) {
+		var event = {reason:reason, status:this._getStatus()};
+		if (source != null) { event.source = source; }
+		event.statusText = (this._fetchResponse != null) ? this._fetchResponse.statusText || "" : "";
+		if (reason == "PRELOAD_HTTP_STATUS") {
+			event.rawResponse = this._response;
+		}
+		this._sendError(event);
+	};
+
+	p.toString = function() {
+		return "[PreloadJS FetchLoader]";
+	};
+
+	createjs.FetchLoader = FetchLoader;
+
+}());
@@ -66,7 +66,6 @@
 // namespace:
 this.createjs = this.createjs||{};
 
-//TODO: JSONP support?
 //TODO: addHeadTags support
 
 /*
@@ -128,6 +127,7 @@ TODO: WINDOWS ISSUES
 	  *     <li>XML: An XML DOM node</li>
 	  *     <li>SVG: An &lt;object /&gt; tag</li>
 	  *     <li>JSON: A formatted JavaScript Object</li>
+	  *     <li>JSONP: The data that was passed to the callback function</li>
 	  *     <li>Text: Raw text</li>
 	  *     <li>Binary: The binary loaded result</li>
 	  * </ul>
@@ -179,16 +179,23 @@ TODO: WINDOWS ISSUES
 	 * @param {Boolean} [useXHR=true] Determines whether the preload instance will favor loading with XHR (XML HTTP Requests),
 	 * or HTML tags. When this is <code>false</code>, LoadQueue will use tag loading when possible, and fall back on XHR
 	 * when necessary.
+	 * @param {String} [basePath] A path that is prepended to the relative <code>src</code> of every item that is
+	 * loaded, such as a CDN prefix. Note that the base path is prepended as-is, so it should usually end with a "/".
+	 * Items are still looked up using their original <code>src</code>. Please see {{#crossLink "LoadQueue/loadManifest"}}{{/crossLink}}
+	 * for base paths that only apply to a manifest.
 	 * @constructor
 	 * @extends AbstractLoader
 	 */
-	var LoadQueue = function(useXHR) {
-		this.init(useXHR);
+	var LoadQueue = function(useXHR, basePath) {
+		this.init(useXHR, basePath);
 	};
 
 	var p = LoadQueue.prototype = new createjs.AbstractLoader();
 	var s = LoadQueue;
 
+	// Overrides property in AbstractLoader
+	p._loaderType = "LoadQueue";
+
 	/**
 	 * Time in milliseconds to assume a load has failed.
 	 * @property TIMEOUT_TIME
@@ -198,6 +205,186 @@ TODO: WINDOWS ISSUES
 	 */
 	s.TIMEOUT_TIME = 8000;
 
+	/**
+	 * The smoothing factor of the download speed that is reported by {{#crossLink "LoadQueue/getStats"}}{{/crossLink}}.
+	 * The speed is an exponential moving average of the measured speed, and each new measurement contributes this
+	 * amount (between 0 and 1). Lower values give a more stable speed, and higher values respond faster to changes.
+	 * @property SPEED_SMOOTHING
+	 * @type {Number}
+	 * @default 0.2
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.SPEED_SMOOTHING = 0.2;
+
+	/**
+	 * The minimum time in milliseconds between measurements of the download speed.
+	 * @property SPEED_SAMPLE_TIME
+	 * @type {Number}
+	 * @default 250
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.SPEED_SAMPLE_TIME = 250;
+
+	/**
+	 * The RegExp pattern used to determine if a path is absolute. This matches paths that start with a protocol
+	 * ("http:", "data:", etc), or are protocol-relative ("//").
+	 * @property ABSOLUTE_PATTERN
+	 * @type {RegExp}
+	 * @static
+	 * @protected
+	 */
+	s.ABSOLUTE_PATTERN = /^(?:[a-z][\w\+\-\.]*:|\/\/)/i;
+
+	/**
+	 * The RegExp pattern used to find the protocol and domain of a path, which root-relative paths are resolved
+	 * against.
+	 * @property ORIGIN_PATTERN
+	 * @type {RegExp}
+	 * @static
+	 * @protected
+	 */
+	s.ORIGIN_PATTERN = /^(?:[a-z][\w\+\-\.]*:)?\/\/[^\/\?#]+/i;
+
+	/**
+	 * Create a URL rewriter that appends a version to the query string of every request, for example
+	 * "image.png?v=1.2.0". Please see {{#crossLink "LoadQueue/setURLRewriter"}}{{/crossLink}}.
+	 * @method versionRewriter
+	 * @param {String} version The version or build hash to append.
+	 * @param {String} [param="v"] The name of the query string parameter.
+	 * @return {Function} A URL rewriter function.
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.versionRewriter = function(version, param) {
+		return function(url) {
+			return s._appendQuery(url, param || "v", version);
+		};
+	};
+
+	/**
+	 * Create a URL rewriter that appends the current time to the query string of every request, for example
+	 * "data.json?t=1358000000000". This ensures that content is never loaded from the browser cache.
+	 * Please see {{#crossLink "LoadQueue/setURLRewriter"}}{{/crossLink}}.
+	 * @method timestampRewriter
+	 * @param {String} [param="t"] The name of the query string parameter.
+	 * @return {Function} A URL rewriter function.
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.timestampRewriter = function(param) {
+		return function(url) {
+			return s._appendQuery(url, param || "t", new Date().getTime());
+		};
+	};
+
+	/**
+	 * Create a URL rewriter that inserts a hash into the file name of items using a lookup map, for example
+	 * "image.png" becomes "image.3f2a1c.png". The map is indexed by the <code>src</code> of the item (or the resolved
+	 * URL), and contains the hash for each file. This is usually generated by a build process. Items that are not in
+	 * the map are not modified. Please see {{#crossLink "LoadQueue/setURLRewriter"}}{{/crossLink}}.
+	 * @method hashRewriter
+	 * @param {Object} map An object hash of file hashes, indexed by the <code>src</code> of the items.
+	 * @return {Function} A URL rewriter function.
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.hashRewriter = function(map) {
+		return function(url, item) {
+			var hash = map[item.src] || map[url];
+			if (hash == null) { return url; }
+
+			var index = url.search(/[\?#]/);
+			var path = (index == -1) ? url : url.substr(0, index);
+			var suffix = (index == -1) ? "" : url.substr(index);
+			var dot = path.lastIndexOf(".");
+			if (dot <= path.lastIndexOf("/")) {
+				return path + "." + hash + suffix;
+			}
+			return path.substr(0, dot) + "." + hash + path.substr(dot) + suffix;
+		};
+	};
+
+	/**
+	 * Record the time of a load event in the <code>timing</code> object of a load item. Please see
+	 * {{#crossLink "LoadQueue/getTimeline"}}{{/crossLink}}. Times that are already recorded are not changed, unless
+	 * <code>overwrite</code> is true.
+	 * @method _markTime
+	 * @param {Object} item The load item.
+	 * @param {String} name The name of the event, such as "started" or "loaded".
+	 * @param {Boolean} [overwrite=false] Replace the time if it is already recorded.
+	 * @static
+	 * @private
+	 */
+	s._markTime = function(item, name, overwrite) {
+		var timing = item.timing || (item.timing = {});
+		if (overwrite || timing[name] == null) { timing[name] = new Date().getTime(); }
+	};
+
+	/**
+	 * Append a parameter to the query string of a URL. Data and Blob URIs are not modified.
+	 * @method _appendQuery
+	 * @param {String} url The URL to modify.
+	 * @param {String} param The name of the parameter.
+	 * @param {String} value The value of the parameter.
+	 * @return {String} The modified URL.
+	 * @static
+	 * @private
+	 */
+	s._appendQuery = function(url, param, value) {
+		if (/^(data|blob):/i.test(url)) { return url; }
+		var index = url.indexOf("#");
+		var hash = "";
+		if (index > -1) {
+			hash = url.substr(index);
+			url = url.substr(0, index);
+		}
+		var separator = (url.indexOf("?") == -1) ? "?" : "&";
+		return url + separator + encodeURIComponent(param) + "=" + encodeURIComponent(value) + hash;
+	};
+
+	/**
+	 * The default retry policy, which is used as the base for any policy set using
+	 * {{#crossLink "LoadQueue/setRetryPolicy"}}{{/crossLink}}, or defined on a load item using the <code>retry</code>
+	 * property. Properties that are not defined in a policy are looked up here. A policy contains:
+	 * <ul><li>attempts: The maximum number of times a failed item is retried. An item is requested at most
+	 *      <code>attempts+1</code> times.</li>
+	 *      <li>delay: The delay in milliseconds before the first retry.</li>
+	 *      <li>factor: The multiplier applied to the delay for each subsequent retry (exponential backoff).</li>
+	 *      <li>maxDelay: The maximum delay in milliseconds between retries.</li>
+	 *      <li>jitter: A number between 0 and 1. The delay is randomly reduced by up to this fraction, so that many
+	 *      failed items do not all retry at the same time.</li>
+	 *      <li>reasons: An array of error reasons that can be retried, such as "PRELOAD_TIMEOUT".</li>
+	 *      <li>statuses: An array of HTTP status codes that can be retried when the reason is
+	 *      "PRELOAD_HTTP_STATUS".</li></ul>
+	 * @property RETRY_DEFAULTS
+	 * @type {Object}
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.RETRY_DEFAULTS = {
+		attempts: 3,
+		delay: 500,
+		factor: 2,
+		maxDelay: 10000,
+		jitter: 0.5,
+		reasons: ["PRELOAD_TIMEOUT", "PRELOAD_NETWORK_ERROR", "PRELOAD_HTTP_STATUS"],
+		statuses: [408, 429, 500, 502, 503, 504]
+	};
+
+	/**
+	 * The Promise implementation that is used by {{#crossLink "LoadQueue/whenLoaded"}}{{/crossLink}}, and when
+	 * <code>usePromises</code> is enabled. When this is null, the browser's native <code>Promise</code> is used. Set
+	 * it to a Promise/A+ compatible constructor to use a library or polyfill in browsers without native Promises.
+	 * @property Promise
+	 * @type {Function}
+	 * @default null
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.Promise = null;
+
 // Preload Types
 	/**
 	 * The preload type for generic binary types. Note that images and sound files are also treated as binary.
@@ -238,7 +425,7 @@ TODO: WINDOWS ISSUES
 
 	/**
 	 * The preload type for json files, usually with the "json" file extension. JSON data is loaded and parsed into a
-	 * SCRIPT tag.
+	 * JavaScript object. If the JSON can not be parsed, the item fails with a PRELOAD_JSON_INVALID reason.
 	 * @property JSON
 	 * @type {String}
 	 * @default json
@@ -246,6 +433,40 @@ TODO: WINDOWS ISSUES
 	 */
 	s.JSON = "json";
 
+	/**
+	 * The preload type for JSONP files, which load data from other domains without requiring CORS. JSONP items are
+	 * always loaded using a SCRIPT tag, and the script must call a global function with the data. The name of the
+	 * function is specified using the <code>callback</code> property of the load item. If it is not specified, a
+	 * unique name is generated, and sent using a "callback" parameter in the query string of the URL. Items that
+	 * specify the same callback are loaded one at a time, and a global function that already has the name is restored
+	 * once the item has loaded.
+	 *
+	 *      queue.loadFile({src:"http://example.com/data?cb=handleData", type:createjs.LoadQueue.JSONP, callback:"handleData"});
+	 *
+	 * If the script loads, but does not call the function, the item fails with a PRELOAD_JSONP_CALLBACK reason.
+	 * @property JSONP
+	 * @type {String}
+	 * @default jsonp
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.JSONP = "jsonp";
+
+	/**
+	 * The preload type for manifest files. Manifests are JSON files that are loaded and parsed like
+	 * <code>LoadQueue.JSON</code>, and then the items they contain are added to the queue. A manifest file contains
+	 * either an array of load items, or an object with a <code>manifest</code> array, and an optional
+	 * <code>basePath</code> (relative to the manifest file) that is prepended to the relative paths of the items in
+	 * the manifest. Items in a manifest can also be manifests, which are loaded in the same way. Please see
+	 * {{#crossLink "LoadQueue/loadManifest"}}{{/crossLink}}.
+	 * @property MANIFEST
+	 * @type {String}
+	 * @default manifest
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.MANIFEST = "manifest";
+
 	/**
 	 * The preload type for sound files, usually mp3, ogg, or wav. Audio is loaded into an AUDIO tag.
 	 * @property SOUND
@@ -298,6 +519,82 @@ TODO: WINDOWS ISSUES
 	 */
 	p.useXHR = true;
 
+	/**
+	 * Load items using a {{#crossLink "FetchLoader"}}{{/crossLink}} instead of an {{#crossLink "XHRLoader"}}{{/crossLink}}
+	 * in browsers that support <code>fetch</code>. This only applies to items that are loaded using XHR (see
+	 * <code>useXHR</code>). Items that are downloaded using range requests (see the <code>rangeSize</code> property
+	 * in {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}) always use XHR, and items that define fetch options (see
+	 * {{#crossLink "LoadQueue/hasFetchOptions"}}{{/crossLink}}) always use fetch.
+	 * @property useFetch
+	 * @type {Boolean}
+	 * @default true
+	 * @since 0.3.0
+	 */
+	p.useFetch = true;
+
+	/**
+	 * Load and parse JSON, manifest, XML, TEXT, and BINARY items in a Web Worker, using a
+	 * {{#crossLink "WorkerLoader"}}{{/crossLink}}, so that large files do not stall the main thread. Binary content
+	 * is transferred from the worker without being copied. Items that are streamed (see the <code>stream</code>
+	 * property), downloaded using range requests (see the <code>rangeSize</code> property), or that send a
+	 * <code>body</code> other than text or a plain object (such as FormData) do not use the worker.
+	 * If the browser can not create the worker, items are loaded as normal. Workers are not used by default.
+	 * @property useWorker
+	 * @type {Boolean}
+	 * @default false
+	 * @since 0.3.0
+	 */
+	p.useWorker = false;
+
+	/**
+	 * Decode images before their <code>fileload</code> event is dispatched, so that they do not need to be decoded
+	 * the first time they are drawn. Set to <code>true</code> to decode images using <code>HTMLImageElement.decode()</code>,
+	 * or <code>"bitmap"</code> to also create an <code>ImageBitmap</code>, which can be looked up using
+	 * <code>getResult(id, "bitmap")</code>. If <code>createImageBitmap</code> is not supported, images are decoded
+	 * instead, and no bitmap is created. Items can override this using their <code>decode</code> property. Images
+	 * are not decoded by default.
+	 * @property decodeImages
+	 * @type {Boolean|String}
+	 * @default false
+	 * @since 0.3.0
+	 */
+	p.decodeImages = false;
+
+	/**
+	 * The pixel density that image sources are chosen for, when a load item lists alternative <code>sources</code>
+	 * with densities. If this is not set, the <code>devicePixelRatio</code> of the window is used. This can be used
+	 * to limit the size of the images that are loaded, for example by setting it to 1 on low-end devices.
+	 * @property pixelRatio
+	 * @type {Number}
+	 * @default null
+	 * @since 0.3.0
+	 */
+	p.pixelRatio = null;
+
+	/**
+	 * Load SOUND items as binary, using XHR or fetch, and decode them using Web Audio, instead of loading them using
+	 * HTML audio tags. The result of each sound is an <code>AudioBuffer</code>, and the raw result is the encoded
+	 * content. Items can override this using their <code>webAudio</code> property. If the browser does not support
+	 * Web Audio, and no <code>audioContext</code> is set, sounds are loaded using tags. Web Audio is not used by
+	 * default.
+	 * @property useWebAudio
+	 * @type {Boolean}
+	 * @default false
+	 * @since 0.3.0
+	 */
+	p.useWebAudio = false;
+
+	/**
+	 * The <code>AudioContext</code> that sounds are decoded with when they are loaded using Web Audio (see
+	 * <code>useWebAudio</code>). Set this to the context of the application, so that it can play the decoded
+	 * sounds. If it is not set, a context that is shared by all queues is created when the first sound is decoded.
+	 * @property audioContext
+	 * @type {AudioContext}
+	 * @default null
+	 * @since 0.3.0
+	 */
+	p.audioContext = null;
+
 	/**
 	 * Stop processing the current queue when an error is encountered.
 	 * @property stopOnError
@@ -335,7 +632,57 @@ TODO: WINDOWS ISSUES
 	 */
 	p.next = null;
 
+	/**
+	 * Return a thenable Promise from {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}} and
+	 * {{#crossLink "LoadQueue/loadManifest"}}{{/crossLink}}, which resolves with the loaded result(s), or rejects
+	 * with the <code>error</code> event object if an item fails to load. Events are still dispatched as usual. Note
+	 * that this requires native Promise support, or a Promise implementation set using <code>LoadQueue.Promise</code>.
+	 *
+	 *      queue.usePromises = true;
+	 *      queue.loadManifest(["image.png", "data.json"]).then(function(results) {
+	 *          // results[0] is the image, results[1] is the parsed JSON.
+	 *      }, function(error) {
+	 *          console.log(error.item.src, error.reason);
+	 *      });
+	 *
+	 * @property usePromises
+	 * @type {Boolean}
+	 * @default false
+	 * @since 0.3.0
+	 */
+	p.usePromises = false;
+
+	/**
+	 * Send a HEAD request for items that do not specify a <code>size</code> when they are added, to determine their
+	 * size from the Content-Length header. This improves the overall progress of queues that contain items of very
+	 * different sizes, in particular items loaded using tags, which do not report their size. Note that HEAD requests
+	 * are subject to the same cross-domain restrictions as XHR requests, and items that do not respond with a
+	 * Content-Length are weighted using the average size of the other items.
+	 * @property useHeadRequests
+	 * @type {Boolean}
+	 * @default false
+	 * @since 0.3.0
+	 */
+	p.useHeadRequests = false;
+
 // Events
+	/**
+	 * The event that is fired when the overall progress changes. Progress is weighted by the size of each item, which
+	 * is either specified using the <code>size</code> property of the item, or determined from the response (or a
+	 * HEAD request, see <code>useHeadRequests</code>). Items with an unknown size are weighted using the average size
+	 * of the items with a known size. If no sizes are known, each item is weighted equally.
+	 * @event progress
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {Number} loaded The overall progress, between 0 and 1.
+	 * @param {Number} total The total, which is always 1.
+	 * @param {Number} bytesLoaded The number of bytes that have been loaded, for items with a known size.
+	 * @param {Number} bytesTotal The total number of bytes of the items with a known size.
+	 * @param {Object} stats The download statistics, including the speed and remaining time. Please see
+	 * {{#crossLink "LoadQueue/getStats"}}{{/crossLink}}.
+	 * @since 0.3.0
+	 */
+
 	/**
 	 * This event is fired when an individual file has loaded, and been processed.
 	 * @event fileload
@@ -347,6 +694,34 @@ TODO: WINDOWS ISSUES
 	 * @param {Object} result The HTML tag or parsed result of the loaded item.
 	 * @param {Object} rawResult The unprocessed result, usually the raw text or binary data before it is converted
 	 * to a usable object.
+	 * @param {Object} [source] The source that was chosen for an item that lists alternative <code>sources</code>,
+	 * containing its <code>src</code>, <code>format</code>, and <code>density</code>.
+	 * @since 0.3.0
+	 */
+
+	/**
+	 * This event is fired when part of an individual file has been received, for items that set the
+	 * <code>stream</code> property. This makes it possible to start processing large files, such as JSON lines
+	 * or binary streams, before they are loaded. Chunks are dispatched in order, before the <code>fileload</code>
+	 * event.
+	 *
+	 *      queue.addEventListener("filechunk", function(event) {
+	 *          buffer += event.chunk;
+	 *          var lines = buffer.split("\n");
+	 *          buffer = lines.pop();
+	 *          lines.forEach(addLevelRow);
+	 *      });
+	 *      queue.loadFile({id:"level", src:"level.jsonl", type:createjs.LoadQueue.TEXT, stream:true});
+	 *
+	 * @event filechunk
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {Object} item The file item which was specified in the {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}
+	 * or {{#crossLink "LoadQueue/loadManifest"}}{{/crossLink}} call.
+	 * @param {String|ArrayBuffer} chunk The content that was received. Text is provided as a String, and binary
+	 * content as an ArrayBuffer.
+	 * @param {Number} offset The position of the chunk in the file, in characters or bytes. If the download starts
+	 * again (for example, after the file changed during a range request), the offset returns to 0.
 	 * @since 0.3.0
 	 */
 
@@ -364,6 +739,72 @@ TODO: WINDOWS ISSUES
 	 * @since 0.3.0
 	 */
 
+	/**
+	 * This event is fired when an individual file failed to load, and will be requested again. Please see the
+	 * {{#crossLink "LoadQueue/setRetryPolicy"}}{{/crossLink}} method for more information. The queue does not
+	 * dispatch an <code>error</code> event for the item unless all the retry attempts fail.
+	 * @event retry
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {Object} item The file item which was specified in the {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}
+	 * or {{#crossLink "LoadQueue/loadManifest"}}{{/crossLink}} call.
+	 * @param {Number} attempt The retry attempt number, starting at 1.
+	 * @param {Number} attempts The maximum number of retry attempts for this item.
+	 * @param {Number} delay The time in milliseconds before the item is requested again.
+	 * @param {String} reason The reason the previous attempt failed, such as "PRELOAD_TIMEOUT".
+	 * @param {Number} [status] The HTTP status of the previous attempt, if there was one.
+	 * @since 0.3.0
+	 */
+
+	/**
+	 * This event is fired when the progress of a group changes. Items are added to a group using the
+	 * <code>group</code> property of the item, or of the manifest that contains it. Progress is weighted in the same
+	 * way as the overall <code>progress</code> event.
+	 * @event groupprogress
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {String} group The name of the group.
+	 * @param {Number} loaded The progress of the group, between 0 and 1.
+	 * @param {Number} total The total, which is always 1.
+	 * @param {Number} bytesLoaded The number of bytes that have been loaded, for items with a known size.
+	 * @param {Number} bytesTotal The total number of bytes of the items with a known size.
+	 * @since 0.3.0
+	 */
+
+	/**
+	 * This event is fired when all the items in a group have completed or failed, after the <code>fileload</code>
+	 * or <code>error</code> event of the last item. If more items are added to the group later, it will be fired
+	 * again when they are done. Please see {{#crossLink "LoadQueue/getGroupItems"}}{{/crossLink}}.
+	 * @event groupcomplete
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {String} group The name of the group.
+	 * @param {Array} items The load items in the group.
+	 * @param {Number} numFailed The number of items in the group that failed to load.
+	 * @since 0.3.0
+	 */
+
+	/**
+	 * This event is fired when an individual file is paused using {{#crossLink "LoadQueue/pauseItem"}}{{/crossLink}}.
+	 * @event filepause
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {Object} item The file item which was specified in the {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}
+	 * or {{#crossLink "LoadQueue/loadManifest"}}{{/crossLink}} call.
+	 * @since 0.3.0
+	 */
+
+	/**
+	 * This event is fired when an individual file is canceled using {{#crossLink "LoadQueue/cancelItem"}}{{/crossLink}}.
+	 * The item stays in the queue, and can be loaded later using {{#crossLink "LoadQueue/resumeItem"}}{{/crossLink}}.
+	 * @event filecancel
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {Object} item The file item which was specified in the {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}
+	 * or {{#crossLink "LoadQueue/loadManifest"}}{{/crossLink}} call.
+	 * @since 0.3.0
+	 */
+
 // Callbacks (deprecated)
 	/**
 	 * The callback that is fired when an individual file is loaded.
@@ -413,6 +854,23 @@ TODO: WINDOWS ISSUES
 	 */
 	p._loadStartWasDispatched = false;
 
+	/**
+	 * The base path that is prepended to relative item paths. Please see the LoadQueue constructor.
+	 * @property _basePath
+	 * @type {String}
+	 * @private
+	 */
+	p._basePath = null;
+
+	/**
+	 * The function used to modify URLs before they are requested. Please see
+	 * {{#crossLink "LoadQueue/setURLRewriter"}}{{/crossLink}}.
+	 * @property _urlRewriter
+	 * @type {Function}
+	 * @private
+	 */
+	p._urlRewriter = null;
+
 	/**
 	 * The number of maximum open connections that a loadQueue tries to maintain. Please see
 	 * {{#crossLink "LoadQueue/setMaxConnections"}}{{/crossLink}} for more information.
@@ -488,6 +946,110 @@ TODO: WINDOWS ISSUES
 	 */
 	p._loadedRawResults = null;
 
+	/**
+	 * An object hash of the object URLs that were created for images loaded using XHR, indexed by the ID of the load
+	 * item. They are released when the item is removed.
+	 * @property _objectURLs
+	 * @type {Object}
+	 * @private
+	 */
+	p._objectURLs = null;
+
+	/**
+	 * An object hash of the ImageBitmaps that were created for images that were decoded using the "bitmap" option,
+	 * indexed by the ID of the load item. They are closed when the item is removed.
+	 * @property _bitmaps
+	 * @type {Object}
+	 * @private
+	 */
+	p._bitmaps = null;
+
+	/**
+	 * An object hash of the sizes in bytes that have been determined for items that did not specify a
+	 * <code>size</code>, indexed by the ID of the load item.
+	 * @property _itemSizes
+	 * @type {Object}
+	 * @private
+	 */
+	p._itemSizes = null;
+
+	/**
+	 * An object hash of the progress of each item (between 0 and 1), indexed by the ID of the load item. Items that
+	 * have completed or failed have a progress of 1.
+	 * @property _itemProgress
+	 * @type {Object}
+	 * @private
+	 */
+	p._itemProgress = null;
+
+	/**
+	 * An object hash of the download statistics of each item that has started loading, indexed by the ID of the load
+	 * item. Each entry contains the <code>startTime</code>, <code>endTime</code>, <code>bytesLoaded</code>, and
+	 * <code>bytesTotal</code> of the item, and the number of <code>attempts</code> that it has been loaded with.
+	 * @property _itemStats
+	 * @type {Object}
+	 * @private
+	 */
+	p._itemStats = null;
+
+	/**
+	 * The time the queue started loading.
+	 * @property _loadStartTime
+	 * @type {Number}
+	 * @private
+	 */
+	p._loadStartTime = null;
+
+	/**
+	 * The time the queue completed, or null if it is loading.
+	 * @property _loadEndTime
+	 * @type {Number}
+	 * @private
+	 */
+	p._loadEndTime = null;
+
+	/**
+	 * The number of bytes that have been received by the queue, including bytes of failed and retried loads.
+	 * @property _bytesReceived
+	 * @type {Number}
+	 * @private
+	 */
+	p._bytesReceived = 0;
+
+	/**
+	 * The smoothed download speed in bytes per second, or null if it has not been measured yet.
+	 * @property _speed
+	 * @type {Number}
+	 * @private
+	 */
+	p._speed = null;
+
+	/**
+	 * The time and number of received bytes of the last speed measurement.
+	 * @property _speedSample
+	 * @type {Object}
+	 * @private
+	 */
+	p._speedSample = null;
+
+	/**
+	 * The loaded and total bytes of the overall progress, including the estimated sizes of items with an unknown
+	 * size. This is null if no sizes are known.
+	 * @property _progressBytes
+	 * @type {Object}
+	 * @private
+	 */
+	p._progressBytes = null;
+
+	/**
+	 * An object hash of the groups that have dispatched a <code>groupcomplete</code> event, indexed by the group
+	 * name. Groups are removed when more items are added to them.
+	 * @property _completedGroups
+	 * @type {Object}
+	 * @private
+	 */
+	p._completedGroups = null;
+
 	/**
 	 * The number of items that have been requested. This helps manage an overall progress without knowing how large
 	 * the files are before they are downloaded.
@@ -527,10 +1089,106 @@ TODO: WINDOWS ISSUES
 	 */
 	p._loadedScripts = null;
 
-	// Overrides abstract method in AbstractLoader
-	p.init = function(useXHR) {
-		this._numItems = this._numItemsLoaded = 0;
-		this._paused = false;
+	/**
+	 * A list of load items that have loaded, but are waiting for the items in their <code>dependsOn</code> list
+	 * before they complete. Please see {{#crossLink "LoadQueue/_checkDependencies"}}{{/crossLink}}.
+	 * @property _waitingItems
+	 * @type {Array}
+	 * @private
+	 */
+	p._waitingItems = null;
+
+	/**
+	 * A list of the loaders of items that were paused using {{#crossLink "LoadQueue/pauseItem"}}{{/crossLink}}.
+	 * @property _pausedLoaders
+	 * @type {Array}
+	 * @private
+	 */
+	p._pausedLoaders = null;
+
+	/**
+	 * An object hash of the loaders of items that were canceled using {{#crossLink "LoadQueue/cancelItem"}}{{/crossLink}},
+	 * indexed by the item id. Canceled items are not counted in <code>_numItems</code> until they are resumed.
+	 * @property _canceledLoaders
+	 * @type {Object}
+	 * @private
+	 */
+	p._canceledLoaders = null;
+
+	/**
+	 * An object hash of the parts of large binary files that have been downloaded using range requests, indexed by
+	 * the <code>src</code> of the item. Downloads are kept when a load fails, is canceled, or the queue is reset, so
+	 * that the next attempt can resume them. Please see {{#crossLink "LoadQueue/_getDownload"}}{{/crossLink}}.
+	 * @property _downloads
+	 * @type {Object}
+	 * @private
+	 */
+	p._downloads = null;
+
+	/**
+	 * The retry policy for this queue. Please see {{#crossLink "LoadQueue/setRetryPolicy"}}{{/crossLink}} for more
+	 * information.
+	 * @property _retryPolicy
+	 * @type {Object}
+	 * @private
+	 */
+	p._retryPolicy = null;
+
+	/**
+	 * The persistent cache for this queue. Please see {{#crossLink "LoadQueue/setCache"}}{{/crossLink}}.
+	 * @property _cache
+	 * @type {AssetCache}
+	 * @private
+	 */
+	p._cache = null;
+
+	/**
+	 * An object hash of the number of times each item has been retried, indexed by the ID of the load item.
+	 * @property _retryCounts
+	 * @type {Object}
+	 * @private
+	 */
+	p._retryCounts = null;
+
+	/**
+	 * A list of items waiting to be retried. Each entry contains the new <code>loader</code>, and the
+	 * <code>timeout</code> that will add it back to the queue.
+	 * @property _pendingRetries
+	 * @type {Array}
+	 * @private
+	 */
+	p._pendingRetries = null;
+
+	/**
+	 * An object hash of the error events for items that failed to load, indexed by the ID of the load item.
+	 * @property _loadErrors
+	 * @type {Object}
+	 * @private
+	 */
+	p._loadErrors = null;
+
+	/**
+	 * An object hash of deferred objects waiting for items to load, indexed by the id or src they were requested
+	 * with. Each deferred contains a <code>resolve</code> and <code>reject</code> function.
+	 * @property _deferreds
+	 * @type {Object}
+	 * @private
+	 */
+	p._deferreds = null;
+
+	/**
+	 * An object hash of the load items that were added by each manifest file, indexed by the ID of the manifest item.
+	 * @property _manifestItems
+	 * @type {Object}
+	 * @private
+	 */
+	p._manifestItems = null;
+
+	// Overrides abstract method in AbstractLoader
+	p.init = function(useXHR, basePath) {
+		this._basePath = basePath || null;
+		this._numItems = this._numItemsLoaded = 0;
+		this._paused = false;
 		this._loadStartWasDispatched = false;
 
 		this._currentLoads = [];
@@ -538,10 +1196,25 @@ TODO: WINDOWS ISSUES
 		this._loadQueueBackup = [];
 		this._scriptOrder = [];
 		this._loadedScripts = [];
+		this._waitingItems = [];
+		this._pausedLoaders = [];
+		this._canceledLoaders = {};
+		this._downloads = {};
 		this._loadItemsById = {};
 		this._loadItemsBySrc = {};
 		this._loadedResults = {};
 		this._loadedRawResults = {};
+		this._objectURLs = {};
+		this._bitmaps = {};
+		this._itemSizes = {};
+		this._itemProgress = {};
+		this._completedGroups = {};
+		this._resetStats();
+		this._retryCounts = {};
+		this._pendingRetries = [];
+		this._loadErrors = {};
+		this._deferreds = {};
+		this._manifestItems = {};
 
 		// Callbacks for plugins
 		this._typeCallbacks = {};
@@ -565,6 +1238,100 @@ TODO: WINDOWS ISSUES
 		return this.useXHR;
 	};
 
+	/**
+	 * Set the retry policy for items that fail to load. By default, failed items are not retried. The policy is
+	 * applied on top of <code>LoadQueue.RETRY_DEFAULTS</code>, so only the values that differ need to be specified.
+	 * Each retry is delayed using exponential backoff with random jitter, and a <code>retry</code> event is dispatched
+	 * before the item is requested again. Only failures with a retryable reason (for example, timeouts or a
+	 * 503 response) are retried. An <code>error</code> event is only dispatched once all the attempts have failed.
+	 *
+	 * Individual items can override the queue policy using a <code>retry</code> property, which can either be a
+	 * policy object, or <code>false</code> to never retry that item.
+	 *
+	 *      queue.setRetryPolicy({attempts:5, delay:250});
+	 *      queue.loadFile({src:"music.mp3", retry:{attempts:1}});
+	 *      queue.loadFile({src:"optional.png", retry:false});
+	 *
+	 * @method setRetryPolicy
+	 * @param {Object} value The retry policy, or <code>null</code> to disable retries. Please see
+	 * <code>LoadQueue.RETRY_DEFAULTS</code> for the supported properties.
+	 * @since 0.3.0
+	 */
+	p.setRetryPolicy = function(value) {
+		this._retryPolicy = (value == null) ? null : this._mergeRetryPolicy(s.RETRY_DEFAULTS, value);
+	};
+
+	/**
+	 * Enable a persistent cache, which stores content that is loaded using XHR, so that it is loaded without using
+	 * the network in later sessions. Content is stored using the URL it is requested from, and the cache
+	 * <code>version</code>, so changing the version invalidates the cached content. By default, there is no cache.
+	 *
+	 * Only simple GET requests are cached. Individual items can set a <code>cache</code> property to
+	 * <code>false</code> to always load from the network. Note that rewriters that change the URL on every request
+	 * (such as {{#crossLink "LoadQueue/timestampRewriter"}}{{/crossLink}}) prevent content from being loaded from the
+	 * cache.
+	 *
+	 *      queue.setCache({version:"1.2", maxSize:50*1024*1024, maxAge:7*24*60*60*1000});
+	 *      queue.loadFile({src:"scores.json", cache:false});
+	 *
+	 * @method setCache
+	 * @param {Boolean | Object | AssetCache} value Either <code>true</code> to use a cache with the default options,
+	 * an object containing {{#crossLink "AssetCache"}}{{/crossLink}} options, an AssetCache instance, or
+	 * <code>null</code> to disable the cache. The cache is used by items that are loaded after it is set.
+	 * @return {AssetCache} The cache that is used, or null if there is no cache.
+	 * @since 0.3.0
+	 */
+	p.setCache = function(value) {
+		if (value == null || value === false) {
+			this._cache = null;
+		} else if (value instanceof createjs.AssetCache) {
+			this._cache = value;
+		} else {
+			this._cache = new createjs.AssetCache(value === true ? null : value);
+		}
+		return this._cache;
+	};
+
+	/**
+	 * Remove all the content from the persistent cache. Please see {{#crossLink "LoadQueue/setCache"}}{{/crossLink}}.
+	 * @method clearCache
+	 * @param {Function} [callback] The function that is called once the cache is cleared.
+	 * @since 0.3.0
+	 */
+	p.clearCache = function(callback) {
+		if (this._cache == null) {
+			callback && setTimeout(callback, 0);
+			return;
+		}
+		this._cache.clear(callback);
+	};
+
+	/**
+	 * Set a function that modifies the URL of each item before it is requested, for example to add a version for
+	 * cache-busting. The function is called with the resolved URL and the load item, and returns the URL to request.
+	 * Items are still looked up using their original <code>src</code>. The URL is determined when an item is
+	 * added to the queue, so the rewriter should be set before adding items.
+	 *
+	 * LoadQueue provides rewriters for common strategies, such as
+	 * {{#crossLink "LoadQueue/versionRewriter"}}{{/crossLink}}, {{#crossLink "LoadQueue/hashRewriter"}}{{/crossLink}},
+	 * and {{#crossLink "LoadQueue/timestampRewriter"}}{{/crossLink}}.
+	 *
+	 *      queue.setURLRewriter(createjs.LoadQueue.versionRewriter("1.2.0"));
+	 *      queue.loadFile("image.png"); // Requests image.png?v=1.2.0
+	 *      queue.getResult("image.png");
+	 *
+	 *      queue.setURLRewriter(function(url, item) {
+	 *          return url.replace("/assets/", "/assets-" + build + "/");
+	 *      });
+	 *
+	 * @method setURLRewriter
+	 * @param {Function} value The rewriter function, or null to request the URLs unmodified.
+	 * @since 0.3.0
+	 */
+	p.setURLRewriter = function(value) {
+		this._urlRewriter = value;
+	};
+
 	/**
 	 * Stops all queued and loading items, and clears the queue. This also removes all internal references to loaded
 	 * content, and allowed the queue to be used again. Items that have not yet started can be kicked off again using
@@ -603,13 +1370,17 @@ TODO: WINDOWS ISSUES
 				this._disposeItem(this._loadItemsById[n]);
 			}
 
-			this.initialize(this.useXHR);
+			for (n in this._deferreds) {
+				this._rejectDeferreds(n, {reason:"PRELOAD_REMOVED"});
+			}
+
+			this.init(this.useXHR, this._basePath);
 
 		// Remove specific items
 		} else {
 			while (args.length) {
 				var item = args.pop();
-				var r = this.getResult(item);
+				var removedItem = this.getItem(item);
 
 				//Remove from the main load Queue
 				for (i = this._loadQueue.length-1;i>=0;i--) {
@@ -620,38 +1391,108 @@ TODO: WINDOWS ISSUES
 					}
 				}
 
-				//Remove from the backup queue
+				//Remove from the retry list
+				for (i = this._pendingRetries.length-1;i>=0;i--) {
+					loadItem = this._pendingRetries[i].loader.getItem();
+					if (loadItem.id == item || loadItem.src == item) {
+						clearTimeout(this._pendingRetries.splice(i,1)[0].timeout);
+						break;
+					}
+				}
+
+				//Remove from the backup queue, and stop counting it towards completion
 				for (i = this._loadQueueBackup.length-1;i>=0;i--) {
 					loadItem = this._loadQueueBackup[i].getItem();
 					if (loadItem.id == item || loadItem.src == item) {
 						this._loadQueueBackup.splice(i,1)[0].cancel();
+						if (this._canceledLoaders[loadItem.id] != null) { break; } // Canceled items are not counted.
+						this._numItems--;
+						if (this._isFinished(loadItem)) {
+							this._numItemsLoaded--;
+						} else if (this._loadStartWasDispatched) {
+							itemsWereRemoved = true; // The queue may be complete without this item.
+						}
 						break;
 					}
 				}
 
-				if (r) {
-					delete this._loadItemsById[r.id];
-					delete this._loadItemsBySrc[r.src];
-					this._disposeItem(r);
-				} else {
-					for (var i=this._currentLoads.length-1;i>=0;i--) {
-						var loadItem = this._currentLoads[i].getItem();
-						if (loadItem.id == item || loadItem.src == item) {
-							this._currentLoads.splice(i,1)[0].cancel();
-							itemsWereRemoved = true;
-							break;
-						}
+				//Stop the current load
+				for (var i=this._currentLoads.length-1;i>=0;i--) {
+					var loadItem = this._currentLoads[i].getItem();
+					if (loadItem.id == item || loadItem.src == item) {
+						this._currentLoads.splice(i,1)[0].cancel();
+						itemsWereRemoved = true;
+						break;
 					}
 				}
+
+				if (removedItem) {
+					delete this._downloads[removedItem.src];
+					this._rejectDeferreds(removedItem.id, {item:removedItem, reason:"PRELOAD_REMOVED"});
+					this._rejectDeferreds(removedItem.src, {item:removedItem, reason:"PRELOAD_REMOVED"});
+					this._disposeItem(removedItem);
+				}
 			}
 
-			// If this was called during a load, try to load the next item.
-			if (itemsWereRemoved) {
+			// If this was called during a load, try to load the next item. Items that were waiting for the removed
+			// items fail, since their dependencies are now missing.
+			if (itemsWereRemoved || this._waitingItems.length > 0) {
+				this._updateProgress();
 				this._loadNext();
 			}
 		}
 	};
 
+	/**
+	 * Get the load items in a group, in the order they were added. Items are added to a group using the
+	 * <code>group</code> property of the item, or of the manifest that contains it.
+	 * @method getGroupItems
+	 * @param {String} group The name of the group.
+	 * @return {Array} The load items in the group.
+	 * @since 0.3.0
+	 */
+	p.getGroupItems = function(group) {
+		var items = [];
+		for (var i=0, l=this._loadQueueBackup.length; i<l; i++) {
+			var item = this._loadQueueBackup[i].getItem();
+			if (item.group == group) { items.push(item); }
+		}
+		return items;
+	};
+
+	/**
+	 * Get the progress of a group. Please see the <code>groupprogress</code> event.
+	 * @method getGroupProgress
+	 * @param {String} group The name of the group.
+	 * @return {Number} The progress of the group, between 0 and 1.
+	 * @since 0.3.0
+	 */
+	p.getGroupProgress = function(group) {
+		return this._getProgress(group).progress;
+	};
+
+	/**
+	 * Stop loading the items in a group, and remove them from the queue, in the same way as
+	 * {{#crossLink "LoadQueue/remove"}}{{/crossLink}}. Other items continue to load.
+	 *
+	 *      queue.loadManifest({group:"level1", manifest:["level1/map.json", "level1/tiles.png"]});
+	 *      // Later, when the player leaves level 1:
+	 *      queue.removeGroup("level1");
+	 *
+	 * @method removeGroup
+	 * @param {String} group The name of the group.
+	 * @since 0.3.0
+	 */
+	p.removeGroup = function(group) {
+		var items = this.getGroupItems(group);
+		var ids = [];
+		for (var i=0, l=items.length; i<l; i++) {
+			ids.push(items[i].id);
+		}
+		delete this._completedGroups[group];
+		if (ids.length > 0) { this.remove(ids); }
+	};
+
 	/**
 	 * Stops all open loads, destroys any loaded items, and resets the queue, so all items can
 	 * be reloaded again by calling {{#crossLink "AbstractLoader/load"}}{{/crossLink}}. Items are not removed from the
@@ -662,24 +1503,36 @@ TODO: WINDOWS ISSUES
 	 */
 	p.reset = function() {
 		this.close();
-		for (var n in this._loadItemsById) {
+
+		// Items that were added by manifest files are added again when the manifests reload.
+		var manifestItems = [];
+		for (var n in this._manifestItems) {
+			manifestItems = manifestItems.concat(this._manifestItems[n]);
+		}
+
+		for (n in this._loadItemsById) {
 			this._disposeItem(this._loadItemsById[n]);
 		}
+		this._retryCounts = {};
+		this._completedGroups = {};
+		this._resetStats();
 
 		//Reset the queue to its start state
 		var a = [];
 		for (i=0,l=this._loadQueueBackup.length;i<l;i++) {
-			a.push(this._loadQueueBackup[i].getItem());
+			var item = this._loadQueueBackup[i].getItem();
+			if (manifestItems.indexOf(item) == -1) { a.push(item); }
 		}
 
 		this.loadManifest(a, false);
 	};
 
 	/**
-	 * Determine if a specific type should be loaded as a binary file. Currently, only images and items marked
-	 * specifically as "binary" are loaded as binary. Note that audio is <b>not</b> a binary type, as we can not play
-	 * back using an audio tag if it is loaded as binary. Plugins can change the item type to binary to ensure they get
-	 * a binary result to work with. Binary files are loaded using XHR2.
+	 * Determine if a specific type should be loaded as a binary file. Currently, only images, sounds, and items marked
+	 * specifically as "binary" are loaded as binary. Note that sounds are only loaded using XHR when they are decoded
+	 * using Web Audio (see <code>useWebAudio</code>), since we can not play back using an audio tag if it is loaded
+	 * as binary. Plugins can change the item type to binary to ensure they get a binary result to work with. Binary
+	 * files are loaded using XHR2.
 	 * @method isBinary
 	 * @param {String} type The item type.
 	 * @return If the specified type is binary.
@@ -688,6 +1541,7 @@ TODO: WINDOWS ISSUES
 	s.isBinary = function(type) {
 		switch (type) {
 			case createjs.LoadQueue.IMAGE:
+			case createjs.LoadQueue.SOUND:
 			case createjs.LoadQueue.BINARY:
 				return true;
 			default:
@@ -695,6 +1549,176 @@ TODO: WINDOWS ISSUES
 		}
 	};
 
+	/**
+	 * Determine if a load item requires a custom request, such as a method other than GET, headers, a request body,
+	 * credentials, or fetch options (see {{#crossLink "LoadQueue/hasFetchOptions"}}{{/crossLink}}). Custom requests
+	 * can only be made using XHR or fetch, and are not cached or downloaded using range requests.
+	 * @method hasRequestOptions
+	 * @param {Object} item The load item.
+	 * @return {Boolean} If the item requires a custom request.
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.hasRequestOptions = function(item) {
+		return (item.method != null && item.method.toUpperCase() != "GET")
+				|| item.headers != null
+				|| item.values != null
+				|| item.body != null
+				|| !!item.withCredentials
+				|| s.hasFetchOptions(item);
+	};
+
+	/**
+	 * Determine if a load item defines a request <code>mode</code>, <code>credentials</code>, <code>redirect</code>
+	 * policy, or subresource <code>integrity</code>. These are only supported by fetch, so the item is always loaded
+	 * using a {{#crossLink "FetchLoader"}}{{/crossLink}}, and fails if the browser does not support fetch.
+	 * @method hasFetchOptions
+	 * @param {Object} item The load item.
+	 * @return {Boolean} If the item requires fetch.
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.hasFetchOptions = function(item) {
+		return item.mode != null || item.credentials != null || item.redirect != null || item.integrity != null;
+	};
+
+	/**
+	 * An object hash of the image formats that are known to be supported, indexed by format. Formats that are not in
+	 * the hash are detected the first time they are checked.
+	 * @property _imageFormats
+	 * @type {Object}
+	 * @static
+	 * @private
+	 */
+	s._imageFormats = {png:true, jpg:true, jpeg:true, gif:true, bmp:true, svg:true};
+
+	/**
+	 * The AudioContext that is shared by queues that decode sounds without an <code>audioContext</code>. Browsers
+	 * limit the number of contexts that can be created, so only one is created.
+	 * @property _audioContext
+	 * @type {AudioContext}
+	 * @static
+	 * @private
+	 */
+	s._audioContext = null;
+
+	/**
+	 * Determine if the browser can display an image format, such as "webp" or "avif". This is used to choose between
+	 * the alternative <code>sources</code> of a load item (see {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}).
+	 * Formats are detected by checking if a canvas can encode them, which is synchronous, but does not detect
+	 * formats that a browser can display but not encode (such as AVIF in most browsers). Those formats can be
+	 * specified using {{#crossLink "LoadQueue/setImageFormatSupport"}}{{/crossLink}}.
+	 * @method isImageFormatSupported
+	 * @param {String} format The format, such as "webp", or its MIME type, such as "image/webp".
+	 * @return {Boolean} If the format is supported.
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.isImageFormatSupported = function(format) {
+		format = s._getImageFormat(format);
+		if (format == null) { return false; }
+		if (s._imageFormats[format] == null) {
+			s._imageFormats[format] = s._canEncodeImage(format);
+		}
+		return s._imageFormats[format];
+	};
+
+	/**
+	 * Specify if the browser can display an image format, instead of detecting it. For example, an application can
+	 * decode a small AVIF image before loading its content, and then set the result.
+	 *
+	 *      var image = new Image();
+	 *      image.onload = function() { LoadQueue.setImageFormatSupport("avif", true); queue.load(); }
+	 *      image.onerror = function() { LoadQueue.setImageFormatSupport("avif", false); queue.load(); }
+	 *      image.src = "data:image/avif;base64,...";
+	 *
+	 * @method setImageFormatSupport
+	 * @param {String} format The format, such as "avif", or its MIME type, such as "image/avif".
+	 * @param {Boolean} supported If the format is supported.
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.setImageFormatSupport = function(format, supported) {
+		format = s._getImageFormat(format);
+		if (format != null) { s._imageFormats[format] = !!supported; }
+	};
+
+	/**
+	 * The MIME types that are used to check if audio formats can be played, indexed by extension. Please see
+	 * {{#crossLink "LoadQueue/isAudioFormatSupported"}}{{/crossLink}}.
+	 * @property AUDIO_TYPES
+	 * @type {Object}
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.AUDIO_TYPES = {
+		ogg: "audio/ogg",
+		oga: "audio/ogg",
+		opus: "audio/ogg; codecs=\"opus\"",
+		mp3: "audio/mpeg",
+		m4a: "audio/mp4",
+		mp4: "audio/mp4",
+		aac: "audio/aac",
+		wav: "audio/wav",
+		webm: "audio/webm"
+	};
+
+	/**
+	 * Determine if the browser can play an audio format, using <code>HTMLAudioElement.canPlayType</code>. This is
+	 * used to choose between the alternative <code>sources</code> of SOUND items (see
+	 * {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}).
+	 * @method isAudioFormatSupported
+	 * @param {String} format An extension in <code>LoadQueue.AUDIO_TYPES</code>, such as "ogg", or a MIME type,
+	 * such as "audio/ogg; codecs=opus".
+	 * @return {Boolean} If the browser reports that it can "probably" or "maybe" play the format.
+	 * @static
+	 * @since 0.3.0
+	 */
+	s.isAudioFormatSupported = function(format) {
+		if (format == null || format == "") { return false; }
+		var type = (format.indexOf("/") > -1) ? format : s.AUDIO_TYPES[format.toLowerCase()];
+		if (type == null) { return false; }
+
+		var audio = document.createElement("audio");
+		if (audio == null || audio.canPlayType == null) { return false; }
+		var result = audio.canPlayType(type);
+		return result != "" && result != "no";
+	};
+
+	/**
+	 * Normalize an image format or MIME type, for example "image/WebP" becomes "webp".
+	 * @method _getImageFormat
+	 * @param {String} format The format or MIME type.
+	 * @return {String} The format, or null if none was specified.
+	 * @static
+	 * @private
+	 */
+	s._getImageFormat = function(format) {
+		if (format == null || format == "") { return null; }
+		format = String(format).toLowerCase().replace(/^image\//, "");
+		if (format == "svg+xml") { format = "svg"; }
+		return format;
+	};
+
+	/**
+	 * Determine if a canvas can encode an image format, which means the browser can also display it.
+	 * @method _canEncodeImage
+	 * @param {String} format The normalized format.
+	 * @return {Boolean} If a canvas can encode the format.
+	 * @static
+	 * @private
+	 */
+	s._canEncodeImage = function(format) {
+		var canvas = document.createElement("canvas");
+		if (canvas == null || canvas.toDataURL == null) { return false; }
+		canvas.width = canvas.height = 1;
+		try {
+			return canvas.toDataURL("image/" + format).indexOf("data:image/" + format) == 0;
+		} catch (error) {
+			return false;
+		}
+	};
+
 	/**
 	 * Register a plugin. Plugins can map to both load types (sound, image, etc), or can map to specific extensions
 	 * (png, mp3, etc). Currently, only one plugin can exist per type/extension. Plugins must return an object containing:
@@ -742,6 +1766,10 @@ TODO: WINDOWS ISSUES
 	 *
 	 * Note that files are always appended to the current queue, so this method can be used multiple times to add files.
 	 * To clear the queue first, use the {{#crossLink "AbstractLoader/close"}}{{/crossLink}} method.
+	 *
+	 * Items that set a <code>method</code>, <code>headers</code>, <code>values</code>, <code>body</code>, or
+	 * <code>withCredentials</code> are always loaded using XHR or fetch. Items that can only be loaded using tags
+	 * (such as HTML audio) fail to load if they set them.
 	 * @method loadFile
 	 * @param {Object | String} file The file object or path to load. A file can be either
      * <ol>
@@ -755,22 +1783,85 @@ TODO: WINDOWS ISSUES
 	 *         It is recommended that a type is specified when a non-standard file URI (such as a php script) us used.</li>
      *         <li>id: A string indentifier which can be used to reference the loaded object.</li>
      *         <li>data: An arbitrary data object, which is included with the loaded object</li>
+	 *         <li>group: The name of a group, such as "ui" or "level1". Groups have their own progress and
+	 *         <code>groupcomplete</code> event, and can be removed using {{#crossLink "LoadQueue/removeGroup"}}{{/crossLink}}.</li>
+	 *         <li>dependsOn: An array of the ids of items that must complete before this item does. The item will
+	 *         still load in parallel with them, but its <code>fileload</code> event is not dispatched until they are
+	 *         complete. Items that are loaded using tags (such as scripts when <code>useXHR</code> is false) do not
+	 *         start loading until their dependencies are complete. If a dependency fails, is canceled, is missing, or
+	 *         depends on this item, the item fails with a PRELOAD_DEPENDENCY_FAILED, PRELOAD_DEPENDENCY_MISSING, or
+	 *         PRELOAD_DEPENDENCY_CYCLE error.</li>
+	 *         <li>timing: Set by the queue to record when the item was queued, started, loaded, etc. Please see
+	 *         {{#crossLink "LoadQueue/getTimeline"}}{{/crossLink}}.</li>
+	 *         <li>size: The expected size of the file in bytes, which is used to weight the overall progress. Please
+	 *         see the <code>progress</code> event.</li>
+     *         <li>priority: A number that determines the load order. Items with a higher priority are loaded
+	 *         before queued items with a lower priority. Items with the same priority load in the order they were
+	 *         added. The default is 0. Scripts still run in the order they were added when
+	 *         <code>maintainScriptOrder</code> is true. Please see {{#crossLink "LoadQueue/setPriority"}}{{/crossLink}}.</li>
+	 *         <li>path: A base path that is prepended to a relative <code>src</code> when it is requested. By default,
+	 *         this is the base path of the queue or manifest that the item was added with.</li>
+	 *         <li>method: The HTTP method to use, such as "POST". The default is "GET".</li>
+	 *         <li>headers: An object hash of request headers, such as <code>{Authorization:"Bearer token"}</code>.</li>
+	 *         <li>values: An object hash of values to send. They are sent in the query string of GET requests, or as
+	 *         a form for other methods.</li>
+	 *         <li>body: The body of the request, which is sent instead of the <code>values</code>. Plain objects
+	 *         are sent as JSON.</li>
+	 *         <li>withCredentials: Send credentials (such as cookies) with cross-domain requests.</li>
+	 *         <li>mode, credentials, redirect, integrity: The request mode, credentials, redirect policy, and
+	 *         subresource integrity. Please see {{#crossLink "FetchLoader"}}{{/crossLink}}. Items that use them are
+	 *         always loaded using fetch (regardless of <code>useXHR</code> and <code>useFetch</code>), and are not
+	 *         cached. They fail with a PRELOAD_REQUEST_UNSUPPORTED error if the browser does not support fetch.</li>
+	 *         <li>stream: Dispatch the content in <code>filechunk</code> events as it is received. Binary content
+	 *         is streamed when it is loaded using fetch. Otherwise, text is streamed as XHR receives it, and
+	 *         binary content is dispatched in one chunk (or one per range request) once it is received.</li>
+	 *         <li>rangeSize: The size in bytes of the parts that a BINARY item is downloaded in, using HTTP range
+	 *         requests. If the download fails or is stopped (for example, using {{#crossLink "LoadQueue/pauseItem"}}{{/crossLink}}
+	 *         or {{#crossLink "AbstractLoader/close"}}{{/crossLink}}), the next attempt resumes from the last part
+	 *         that was received, instead of starting again. This only applies to simple GET requests, and requires
+	 *         XHR level 2.</li>
+	 *         <li>callback: The name of the global function that a JSONP script calls with its data. Please see
+	 *         <code>LoadQueue.JSONP</code>.</li>
+	 *         <li>cache: Set to <code>false</code> to always load the item from the network, instead of the
+	 *         persistent cache. Please see {{#crossLink "LoadQueue/setCache"}}{{/crossLink}}.</li>
+	 *         <li>sources: An array of alternative sources, which the queue chooses from instead of loading the
+	 *         <code>src</code>. Each source is a path, or an object containing the <code>src</code>, and optionally
+	 *         the image <code>format</code> (such as "webp" or "image/avif", which defaults to the extension) and
+	 *         <code>density</code> (such as 2 or "2x", which defaults to 1). Image sources are listed in order of
+	 *         preference: the first format that the browser supports (see {{#crossLink "LoadQueue/isImageFormatSupported"}}{{/crossLink}})
+	 *         is used, with the lowest density that is at least the <code>pixelRatio</code> of the queue, or the
+	 *         highest density if none are. If no format is supported, the <code>src</code> is loaded, or the last
+	 *         source if there is no <code>src</code>. The chosen source is set as the <code>src</code> of the item,
+	 *         and its density as the <code>density</code>. The <code>id</code> of the item defaults to its original
+	 *         <code>src</code>, or the first source, so that the result can be looked up regardless of the source
+	 *         that was loaded. SOUND items load the first source that the browser can play (see
+	 *         {{#crossLink "LoadQueue/isAudioFormatSupported"}}{{/crossLink}}), such as ogg, mp3, m4a, or opus, and
+	 *         fail with a PRELOAD_SOUND_UNSUPPORTED error if none can be played. The chosen source is included in the
+	 *         <code>fileload</code> event.</li>
+	 *         <li>webAudio: Load a SOUND item as binary, and decode it using Web Audio. This overrides the
+	 *         <code>useWebAudio</code> property of the queue.</li>
+	 *         <li>decode: Decode an image before it completes. This can be <code>true</code>, <code>"bitmap"</code>,
+	 *         or <code>false</code>, and overrides the <code>decodeImages</code> property of the queue.</li>
      *     </ul>
      * </ol>
 	 * @param {Boolean} [loadNow=true] Kick off an immediate load (true) or wait for a load call (false). The default
 	 * value is true. If the queue is paused using {{#crossLink "LoadQueue/setPaused"}}{{/crossLink}}, and the value is
 	 * true, the queue will resume automatically.
+	 * @return {Promise} If <code>usePromises</code> is <code>true</code>, a Promise that resolves with the loaded
+	 * result, or rejects with the error event. Otherwise, nothing is returned.
 	 */
 	p.loadFile = function(file, loadNow) {
 		if (file == null) {
-			this._sendError({text: "PRELOAD_NO_FILE"});
-			return;
+			this._sendError({text: "PRELOAD_NO_FILE", reason: "PRELOAD_NO_FILE"});
+			return this._getRejectedPromise({text: "PRELOAD_NO_FILE", reason: "PRELOAD_NO_FILE"});
 		}
-		this._addItem(file);
+		var item = this._addItem(file, this._basePath);
+		var promise = this.usePromises ? this._getItemPromise(item) : undefined;
 
 		if (loadNow !== false) {
 			this.setPaused(false);
 		}
+		return promise;
 	}
 
 	/**
@@ -779,10 +1870,41 @@ TODO: WINDOWS ISSUES
 	 * connections are set above 1 using {{#crossLink "LoadQueue/setMaxConnections"}}{{/crossLink}}. Scripts will load
 	 * in the right order as long as <code>loadQueue.maintainScriptOrder</code> is true (which is default).
 	 *
+	 * The manifest can also be the path to a JSON manifest file, which is loaded using XHR, and then the items it
+	 * contains are added to the queue. Manifests may contain a <code>basePath</code>, which is relative to the
+	 * manifest file, and items with a type of <code>LoadQueue.MANIFEST</code>, which load additional manifests. The overall progress includes items as they are
+	 * discovered, so it may move backwards when a manifest adds new items.
+	 *
+	 *      // assets/manifest.json: {"basePath":"images/", "manifest":[
+	 *      //     {"id":"splash", "src":"splash.png"}, // Loads assets/images/splash.png
+	 *      //     {"id":"level1", "src":"/assets/level1/manifest.json", "type":"manifest"}
+	 *      // ]}
+	 *      queue.loadManifest("assets/manifest.json");
+	 *
+	 * Relative paths are resolved against the <code>basePath</code> argument, the base path of the manifest file,
+	 * and the base path of the queue, in that order. Absolute and protocol-relative URIs are never modified. Items are
+	 * still looked up using their original <code>src</code>.
+	 *
+	 *      var queue = new createjs.LoadQueue(true, "http://cdn.example.com/");
+	 *      queue.loadManifest(["splash.png", "menu.png"], true, "ui/"); // Loads http://cdn.example.com/ui/splash.png
+	 *      queue.getResult("splash.png");
+	 *
+	 * Items can be added to a named group, which has its own progress and <code>groupcomplete</code> event, using the
+	 * <code>group</code> argument, a <code>group</code> in a manifest object or file, or a <code>group</code> on the
+	 * items. Items in a manifest belong to the group of the manifest unless they specify their own.
+	 *
+	 *      queue.addEventListener("groupcomplete", function(event) {
+	 *          if (event.group == "ui") { showMenu(); }
+	 *      });
+	 *      queue.loadManifest("ui/manifest.json", true, null, "ui");
+	 *      queue.loadManifest({group:"level1", manifest:["level1/map.json", "level1/tiles.png"]});
+	 *
 	 * Note that files are always appended to the current queue, so this method can be used multiple times to add files.
 	 * To clear the queue first, use the {{#crossLink "AbstractLoader/close"}}{{/crossLink}} method.
 	 * @method loadManifest
-	 * @param {Array} manifest The list of files to load. Each file can be either:
+	 * @param {Array | String | Object} manifest The list of files to load, the path to a manifest file, or an
+	 * object containing a <code>manifest</code> array, and an optional <code>basePath</code> and <code>group</code>.
+	 * Each file can be either:
 	 * <ol>
 	 *     <li>a path to a resource (string). Note that this kind of load item will be
 	 *      converted to an object (see below) in the background.</li>
@@ -794,36 +1916,46 @@ TODO: WINDOWS ISSUES
 	 *         It is recommended that a type is specified when a non-standard file URI (such as a php script) us used.</li>
 	 *         <li>id: A string identifier which can be used to reference the loaded object.</li>
 	 *         <li>data: An arbitrary data object, which is returned with the loaded object</li>
+	 *         <li>priority: A number that determines the load order. Items with a higher priority are loaded
+	 *         before queued items with a lower priority. The default is 0.</li>
 	 *     </ul>
 	 * </ol>
 	 * @param {Boolean} [loadNow=true] Kick off an immediate load (true) or wait for a load call (false). The default
 	 * value is true. If the queue is paused using {{#crossLink "LoadQueue/setPaused"}}{{/crossLink}} and this value is
 	 * true, the queue will resume automatically.
+	 * @param {String} [basePath] A path that is prepended to the relative paths of the items in this manifest. This is
+	 * resolved against the base path of the queue.
+	 * @param {String} [group] The name of the group that the items in this manifest are added to.
+	 * @return {Promise} If <code>usePromises</code> is <code>true</code>, a Promise that resolves with an array of
+	 * the loaded results (in manifest order), or rejects with the error event of the first item that fails.
+	 * Manifest files resolve with an array of the results of the items they contain. Otherwise, nothing is returned.
 	 */
-	p.loadManifest = function(manifest, loadNow) {
+	p.loadManifest = function(manifest, loadNow, basePath, group) {
 		var data;
 
-		if (manifest instanceof Array) {
-			if (manifest.length == 0) {
-				this._sendError({text: "PRELOAD_MANIFEST_EMPTY"});
-				return;
-			}
+		if (manifest == null) {
+			this._sendError({text: "PRELOAD_MANIFEST_NULL", reason: "PRELOAD_MANIFEST_NULL"});
+			return this._getRejectedPromise({text: "PRELOAD_MANIFEST_NULL", reason: "PRELOAD_MANIFEST_NULL"});
+		} else if (typeof(manifest) == "string") {
+			data = [{src:manifest, type:createjs.LoadQueue.MANIFEST}];
+		} else if (manifest instanceof Array || manifest.manifest instanceof Array) {
 			data = manifest;
 		} else {
-			if (manifest == null) {
-				this._sendError({text: "PRELOAD_MANIFEST_NULL"});
-				return;
-			}
 			data = [manifest];
 		}
 
-		for (var i=0, l=data.length; i<l; i++) {
-			this._addItem(data[i], false);
+		if ((data.manifest || data).length == 0) {
+			this._sendError({text: "PRELOAD_MANIFEST_EMPTY", reason: "PRELOAD_MANIFEST_EMPTY"});
+			return this._getRejectedPromise({text: "PRELOAD_MANIFEST_EMPTY", reason: "PRELOAD_MANIFEST_EMPTY"});
 		}
 
+		var items = this._addManifestItems(data, this._resolvePath(basePath, this._basePath), group);
+		var promise = this.usePromises ? this._getManifestPromise(items) : undefined;
+
 		if (loadNow !== false) {
 			this.setPaused(false);
 		}
+		return promise;
 	};
 
 	// Overrides abstract method in AbstractLoader
@@ -832,53 +1964,235 @@ TODO: WINDOWS ISSUES
 	};
 
 	/**
-	 * Look up a load item using either the "id" or "src" that was specified when loading it.
-	 * @method getItem
-	 * @param {String} value The <code>id</code> or <code>src</code> of the load item.
-	 * @return {Object} The load item that was initially requested using {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}
-	 * or {{#crossLink "LoadQueue/loadManifest"}}{{/crossLink}}. This object is also returned via the "fileload" event
-	 * as the "item" parameter.
+	 * Change the priority of an item that has not started loading yet. The queue is re-sorted so that items with a
+	 * higher priority are loaded first, which makes it possible to move important content ahead of items that
+	 * were already added using {{#crossLink "LoadQueue/loadManifest"}}{{/crossLink}}. Items that are already loading
+	 * are not affected. When <code>maintainScriptOrder</code> is true, the priority of a script does not change the
+	 * order that scripts run in.
+	 *
+	 *      queue.loadManifest(["music.mp3", "level1.png", "splash.png"]);
+	 *      queue.setPriority("splash.png", 10);
+	 *
+	 * @method setPriority
+	 * @param {String} idOrSrc The <code>id</code> or <code>src</code> of the load item.
+	 * @param {Number} value The new priority. Items with higher values are loaded first. The default priority is 0.
+	 * @return {Boolean} If the item was found. Note that the priority is still updated if the item is currently
+	 * loading or has already loaded.
+	 * @since 0.3.0
 	 */
-	p.getItem = function(value) {
-		return this._loadItemsById[value] || this._loadItemsBySrc[value];
-	};
+	p.setPriority = function(idOrSrc, value) {
+		var item = this.getItem(idOrSrc);
+		if (item == null) { return false; }
+		item.priority = Number(value) || 0;
 
-	/**
-	 * Look up a loaded result using either the "id" or "src" that was specified when loading it.
-	 * @method getResult
-	 * @param {String} value The <code>id</code> or <code>src</code> of the load item.
-	 * @param {Boolean} [rawResult=false] Return a raw result instead of a formatted result. This applies to content
-	 * loaded via XHR such as scripts, XML, CSS, and Images. If there is no raw result, the formatted result will be
-	 * returned instead.
-	 * @return {Object} A result object containing the content that was loaded, such as:
-     * <ul>
-	 *      <li>An image tag (&lt;image /&gt;) for images</li>
-	 *      <li>An audio tag (&lt;audio &gt;) for audio</li>
-	 *      <li>A script tag for JavaScript (&lt;script /&gt;). Note that scripts loaded with tags may be added to the
-	 *      HTML head.</li>
-	 *      <li>A style tag for CSS (&lt;style /&gt;)</li>
-	 *      <li>Raw text for TEXT</li>
-	 *      <li>A formatted JavaScript object defined by JSON</li>
-	 *      <li>An XML document</li>
-	 *      <li>An binary arraybuffer loaded by XHR</li>
-	 * </ul>
-     * This object is also returned via the "fileload" event as the "item" parameter. Note that if a raw result is
-	 * requested, but not found, the result will be returned instead.
-	 */
-	p.getResult = function(value, rawResult) {
-		var item = this._loadItemsById[value] || this._loadItemsBySrc[value];
-		if (item == null) { return null; }
-		var id = item.id;
-		if (rawResult && this._loadedRawResults[id]) {
-			return this._loadedRawResults[id];
+		for (var i=0, l=this._loadQueue.length; i<l; i++) {
+			var loader = this._loadQueue[i];
+			if (loader.getItem() == item) {
+				this._loadQueue.splice(i, 1);
+				this._queueLoader(loader);
+				break;
+			}
 		}
-		return this._loadedResults[id];
+
+		if (!this._paused) {
+			this._loadNext();
+		}
+		return true;
 	};
 
 	/**
-	 * Pause or resume the current load. Active loads will not be cancelled, but the next items in the queue will not
-	 * be processed when active loads complete. LoadQueues are not paused by default.
-	 * @method setPaused
+	 * Pause an item that has not loaded yet, without pausing the rest of the queue. If the item is loading, its
+	 * request is stopped, and it starts again when it is resumed using {{#crossLink "LoadQueue/resumeItem"}}{{/crossLink}}.
+	 * The queue does not complete while items are paused.
+	 * @method pauseItem
+	 * @param {String} idOrSrc The <code>id</code> or <code>src</code> of the load item.
+	 * @return {Boolean} If the item was paused. Items that have loaded, failed, or are already paused or canceled
+	 * can not be paused.
+	 * @since 0.3.0
+	 */
+	p.pauseItem = function(idOrSrc) {
+		var item = this.getItem(idOrSrc);
+		if (item == null || this._canceledLoaders[item.id] != null) { return false; }
+		var loader = this._getLoader(item);
+		if (this._pausedLoaders.indexOf(loader) > -1) { return false; }
+
+		loader = this._stopItem(item);
+		if (loader == null) { return false; }
+		this._pausedLoaders.push(loader);
+
+		// Scripts that load after this one wait for it again, even if it was already loaded and waiting for its turn.
+		var index = this._scriptOrder.indexOf(item);
+		if (index > -1 && this._loadedScripts[index] !== true) { this._loadedScripts[index] = null; }
+
+		this._sendFilePause(item);
+		this._updateProgress();
+		this._updateGroupProgress(item.group);
+		this._loadNext();
+		return true;
+	};
+
+	/**
+	 * Resume an item that was paused using {{#crossLink "LoadQueue/pauseItem"}}{{/crossLink}}, or load an item
+	 * that was canceled using {{#crossLink "LoadQueue/cancelItem"}}{{/crossLink}} again. The item is added to the
+	 * queue using its <code>priority</code>.
+	 * @method resumeItem
+	 * @param {String} idOrSrc The <code>id</code> or <code>src</code> of the load item.
+	 * @return {Boolean} If the item was paused or canceled, and has been resumed.
+	 * @since 0.3.0
+	 */
+	p.resumeItem = function(idOrSrc) {
+		var item = this.getItem(idOrSrc);
+		if (item == null) { return false; }
+
+		var loader = this._canceledLoaders[item.id];
+		if (loader != null) {
+			delete this._canceledLoaders[item.id];
+			this._numItems++;
+			var index = this._scriptOrder.indexOf(item);
+			if (index > -1) { this._loadedScripts[index] = null; }
+		} else {
+			loader = this._getLoader(item);
+			index = this._pausedLoaders.indexOf(loader);
+			if (index == -1) { return false; }
+			this._pausedLoaders.splice(index, 1);
+		}
+
+		if (item.group != null) { delete this._completedGroups[item.group]; }
+		this._queueLoader(loader);
+		this._updateProgress();
+		this._updateGroupProgress(item.group);
+		if (!this._paused) {
+			this._loadNext();
+		}
+		return true;
+	};
+
+	/**
+	 * Cancel an item that has not loaded yet. Unlike {{#crossLink "LoadQueue/remove"}}{{/crossLink}}, the item stays
+	 * in the queue, and can be loaded later using {{#crossLink "LoadQueue/resumeItem"}}{{/crossLink}}. Canceled items
+	 * are not included in the progress, and the queue (and the group of the item) can complete without them. Any
+	 * Promises for the item are rejected with a PRELOAD_CANCELED reason.
+	 *
+	 *      queue.addEventListener("filecancel", function(event) {
+	 *          // The player skipped the video
+	 *      });
+	 *      skipButton.onclick = function() { queue.cancelItem("intro-video"); }
+	 *
+	 * @method cancelItem
+	 * @param {String} idOrSrc The <code>id</code> or <code>src</code> of the load item.
+	 * @return {Boolean} If the item was canceled. Items that have loaded, failed, or are already canceled can not be
+	 * canceled.
+	 * @since 0.3.0
+	 */
+	p.cancelItem = function(idOrSrc) {
+		var item = this.getItem(idOrSrc);
+		if (item == null || this._canceledLoaders[item.id] != null) { return false; }
+		var loader = this._stopItem(item);
+		if (loader == null) { return false; }
+
+		this._canceledLoaders[item.id] = loader;
+		this._numItems--;
+
+		// Scripts that load after this one do not wait for it. This includes scripts that were already loaded, and
+		// waiting for their turn.
+		var index = this._scriptOrder.indexOf(item);
+		if (index > -1 && this._loadedScripts[index] !== true) {
+			this._loadedScripts[index] = true;
+			this._checkScriptLoadOrder();
+		}
+
+		this._sendFileCancel(item);
+		var error = {item:item, reason:"PRELOAD_CANCELED"};
+		this._rejectDeferreds(item.id, error);
+		this._rejectDeferreds(item.src, error);
+		this._updateProgress();
+		this._updateGroupProgress(item.group);
+		this._checkGroupComplete(item.group);
+		this._loadNext();
+		return true;
+	};
+
+	/**
+	 * Look up a load item using either the "id" or "src" that was specified when loading it.
+	 * @method getItem
+	 * @param {String} value The <code>id</code> or <code>src</code> of the load item.
+	 * @return {Object} The load item that was initially requested using {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}
+	 * or {{#crossLink "LoadQueue/loadManifest"}}{{/crossLink}}. This object is also returned via the "fileload" event
+	 * as the "item" parameter.
+	 */
+	p.getItem = function(value) {
+		return this._loadItemsById[value] || this._loadItemsBySrc[value];
+	};
+
+	/**
+	 * Look up a loaded result using either the "id" or "src" that was specified when loading it.
+	 * @method getResult
+	 * @param {String} value The <code>id</code> or <code>src</code> of the load item.
+	 * @param {Boolean|String} [rawResult=false] Return a raw result instead of a formatted result. This applies to content
+	 * loaded via XHR such as scripts, XML, CSS, and Images. If there is no raw result, the formatted result will be
+	 * returned instead. Use <code>"bitmap"</code> to get the ImageBitmap of an image that was decoded using the
+	 * "bitmap" option (see <code>decodeImages</code>), or null if there is no bitmap.
+	 * @return {Object} A result object containing the content that was loaded, such as:
+     * <ul>
+	 *      <li>An image tag (&lt;image /&gt;) for images</li>
+	 *      <li>An audio tag (&lt;audio &gt;) for audio</li>
+	 *      <li>A script tag for JavaScript (&lt;script /&gt;). Note that scripts loaded with tags may be added to the
+	 *      HTML head.</li>
+	 *      <li>A style tag for CSS (&lt;style /&gt;)</li>
+	 *      <li>Raw text for TEXT</li>
+	 *      <li>A formatted JavaScript object defined by JSON</li>
+	 *      <li>An XML document</li>
+	 *      <li>An binary arraybuffer loaded by XHR</li>
+	 *      <li>An AudioBuffer for sounds that are decoded using Web Audio (see <code>useWebAudio</code>)</li>
+	 * </ul>
+     * This object is also returned via the "fileload" event as the "item" parameter. Note that if a raw result is
+	 * requested, but not found, the result will be returned instead.
+	 */
+	p.getResult = function(value, rawResult) {
+		var item = this._loadItemsById[value] || this._loadItemsBySrc[value];
+		if (item == null) { return null; }
+		var id = item.id;
+		if (rawResult == "bitmap") {
+			return this._bitmaps[id] || null;
+		}
+		if (rawResult && this._loadedRawResults[id]) {
+			return this._loadedRawResults[id];
+		}
+		return this._loadedResults[id];
+	};
+
+	/**
+	 * Get a Promise that resolves when a specific item has loaded. This can be used regardless of the
+	 * <code>usePromises</code> setting, and before or after the item is added to the queue. If the item has already
+	 * loaded, the Promise resolves immediately.
+	 *
+	 *      var image = await queue.whenLoaded("splash");
+	 *
+	 * @method whenLoaded
+	 * @param {String} value The <code>id</code> or <code>src</code> of the load item.
+	 * @return {Promise} A Promise that resolves with the loaded result, or rejects with the error event if the item
+	 * fails to load or is removed. If Promises are not supported, null is returned.
+	 * @since 0.3.0
+	 */
+	p.whenLoaded = function(value) {
+		var deferred = this._createDeferred();
+		if (deferred == null) { return null; }
+
+		var item = this.getItem(value);
+		if (item != null && this._loadErrors[item.id]) {
+			deferred.reject(this._loadErrors[item.id]);
+		} else if (item != null && this._loadedResults.hasOwnProperty(item.id)) {
+			deferred.resolve(this._loadedResults[item.id]);
+		} else {
+			this._addDeferred(value, deferred);
+		}
+		return deferred.promise;
+	};
+
+	/**
+	 * Pause or resume the current load. Active loads will not be cancelled, but the next items in the queue will not
+	 * be processed when active loads complete. LoadQueues are not paused by default.
+	 * @method setPaused
 	 * @param {Boolean} value Whether the queue should be paused or not.
 	 */
 	p.setPaused = function(value) {
@@ -893,9 +2207,62 @@ TODO: WINDOWS ISSUES
 		while (this._currentLoads.length) {
 			this._currentLoads.pop().cancel();
 		}
+		while (this._pendingRetries.length) {
+			clearTimeout(this._pendingRetries.pop().timeout);
+		}
 		this._scriptOrder.length = 0;
 		this._loadedScripts.length = 0;
-		this.loadStartWasDispatched = false;
+		this._waitingItems.length = 0;
+		this._loadStartWasDispatched = false;
+	};
+
+	/**
+	 * Get the download statistics of the queue, which can be used to display the download speed and the estimated
+	 * time remaining. The statistics are also included in the <code>progress</code> event.
+	 *
+	 *      var stats = queue.getStats();
+	 *      var text = (stats.speed / 1048576).toFixed(1) + " MB/s";
+	 *      if (stats.remaining != null) { text += ", about " + Math.ceil(stats.remaining / 1000) + " s left"; }
+	 *
+	 * Note that only bytes loaded using XHR can be measured, so the speed does not include items loaded using tags.
+	 * @method getStats
+	 * @return {Object} An object containing:<ul>
+	 *      <li>progress: The overall progress, between 0 and 1.</li>
+	 *      <li>bytesLoaded: The number of bytes that have been received.</li>
+	 *      <li>elapsed: The time in milliseconds since the queue started loading, until it completed.</li>
+	 *      <li>speed: The smoothed download speed, in bytes per second.</li>
+	 *      <li>averageSpeed: The average download speed since the queue started loading, in bytes per second.</li>
+	 *      <li>remaining: The estimated time remaining in milliseconds, or null if it can not be estimated yet.</li>
+	 *      <li>items: An object hash of the statistics of each item that has started loading, indexed by the ID of
+	 *      the load item. Each contains the <code>bytesLoaded</code>, <code>bytesTotal</code> (0 if unknown),
+	 *      <code>elapsed</code> time in milliseconds, and the average <code>speed</code> in bytes per second.</li></ul>
+	 * @since 0.3.0
+	 */
+	p.getStats = function() {
+		var now = new Date().getTime();
+		var elapsed = (this._loadStartTime == null) ? 0 : (this._loadEndTime || now) - this._loadStartTime;
+
+		var items = {};
+		for (var n in this._itemStats) {
+			var stat = this._itemStats[n];
+			var itemElapsed = (stat.endTime || now) - stat.startTime;
+			items[n] = {
+				bytesLoaded: stat.bytesLoaded,
+				bytesTotal: stat.bytesTotal,
+				elapsed: itemElapsed,
+				speed: (itemElapsed > 0) ? stat.bytesLoaded / itemElapsed * 1000 : 0
+			};
+		}
+
+		return {
+			progress: this.progress,
+			bytesLoaded: this._bytesReceived,
+			elapsed: elapsed,
+			speed: this._speed || 0,
+			averageSpeed: (elapsed > 0) ? this._bytesReceived / elapsed * 1000 : 0,
+			remaining: this._getRemainingTime(elapsed),
+			items: items
+		};
 	};
 
 
@@ -907,27 +2274,136 @@ TODO: WINDOWS ISSUES
 	 * method.
 	 * @method _addItem
 	 * @param {String|Object} value The item to add to the queue.
+	 * @param {String} [path] The base path to use for the item, if it does not define one.
+	 * @param {String} [group] The group to add the item to, if it does not define one.
+	 * @return {Object} The formatted load item, or null if the item will not be loaded by the queue.
 	 * @private
 	 */
-	p._addItem = function(value) {
-		var item = this._createLoadItem(value);
-		if (item == null) { return; } // Sometimes plugins or types should be skipped.
+	p._addItem = function(value, path, group) {
+		var item = this._createLoadItem(value, path, group);
+		if (item == null) { return null; } // Sometimes plugins or types should be skipped.
 		var loader = this._createLoader(item);
 		if (loader != null) {
-			this._loadQueue.push(loader);
+			if (item.group != null) { delete this._completedGroups[item.group]; }
+			s._markTime(item, "queued");
+			this._queueLoader(loader);
 			this._loadQueueBackup.push(loader);
 
+			if (this.useHeadRequests && this._getItemSize(item) == null) {
+				this._requestItemSize(item);
+			}
+
 			this._numItems++;
 			this._updateProgress();
 
-			// Only worry about script order when using XHR to load scripts. Tags are only loading one at a time.
+			// Only worry about script order when using XHR or fetch to load scripts. Tags are only loading one at a time.
 			if (this.maintainScriptOrder
 					&& item.type == createjs.LoadQueue.JAVASCRIPT
-					&& loader instanceof createjs.XHRLoader) {
+					&& !(loader instanceof createjs.TagLoader)) {
 				this._scriptOrder.push(item);
 				this._loadedScripts.push(null);
 			}
 		}
+		return item;
+	};
+
+	/**
+	 * Add the items in a manifest to the queue. If the manifest defines a <code>basePath</code>, it is resolved
+	 * against the location of the manifest file (or the path the manifest was loaded with, if it is not a file), and
+	 * used as the path of its items.
+	 * @method _addManifestItems
+	 * @param {Array | Object} manifest An array of items, or an object containing a <code>manifest</code> array and
+	 * an optional <code>basePath</code>.
+	 * @param {String} [path] The base path that the manifest was loaded with.
+	 * @param {String} [group] The group that the manifest was loaded with.
+	 * @param {String} [location] The directory of the manifest file, if the manifest was loaded from a file.
+	 * @return {Array} The formatted load items that were added. Items that are not loaded by the queue are null.
+	 * @private
+	 */
+	p._addManifestItems = function(manifest, path, group, location) {
+		var data = manifest;
+		if (!(manifest instanceof Array)) {
+			data = manifest.manifest;
+			if (manifest.basePath != null) {
+				path = this._resolvePath(manifest.basePath, (location != null) ? location : path);
+			}
+			if (manifest.group != null) { group = manifest.group; }
+		}
+
+		var items = [];
+		for (var i=0, l=data.length; i<l; i++) {
+			items.push(this._addItem(data[i], path, group));
+		}
+		return items;
+	};
+
+	/**
+	 * Resolve a path against a base path. The base path is prepended to relative paths, including paths with query
+	 * strings. Absolute URIs (such as "http://" or "data:") and protocol-relative URIs ("//") are not modified.
+	 * Root-relative paths ("/") are resolved against the domain of the base path if it has one.
+	 * @method _resolvePath
+	 * @param {String} path The path to resolve.
+	 * @param {String} basePath The base path to resolve against.
+	 * @return {String} The resolved path.
+	 * @private
+	 */
+	p._resolvePath = function(path, basePath) {
+		if (!basePath || typeof(path) != "string") { return path || basePath || null; }
+		if (s.ABSOLUTE_PATTERN.test(path)) { return path; }
+		if (path.charAt(0) == "/") {
+			var match = basePath.match(s.ORIGIN_PATTERN);
+			return match ? match[0] + path : path;
+		}
+		return basePath + path;
+	};
+
+	/**
+	 * Get the directory of a path, including the trailing slash, for example "assets/level1/" for
+	 * "assets/level1/manifest.json?v=2".
+	 * @method _getDirectory
+	 * @param {String} path The path.
+	 * @return {String} The directory, or an empty string if the path does not contain one.
+	 * @private
+	 */
+	p._getDirectory = function(path) {
+		if (typeof(path) != "string") { return ""; }
+		path = path.replace(/[\?#].*$/, "");
+		return path.substr(0, path.lastIndexOf("/") + 1);
+	};
+
+	/**
+	 * Get the URL that is requested for a load item, which is the <code>src</code> resolved against the
+	 * <code>path</code> of the item, and then modified by the URL rewriter if there is one.
+	 * @method _getLoadURL
+	 * @param {Object} item The load item.
+	 * @return {String} The URL to request.
+	 * @private
+	 */
+	p._getLoadURL = function(item) {
+		var url = this._resolvePath(item.src, item.path);
+		if (this._urlRewriter == null || typeof(url) != "string") { return url; }
+		var rewritten = this._urlRewriter(url, item);
+		return (rewritten == null) ? url : rewritten;
+	};
+
+	/**
+	 * Insert a loader into the load queue based on the priority of its item. Loaders are added after any queued
+	 * loaders with the same or higher priority, so that items with the same priority are loaded in the order they
+	 * were added.
+	 * @method _queueLoader
+	 * @param {AbstractLoader} loader The loader to add to the queue.
+	 * @param {Boolean} [first=false] Add the loader ahead of any queued loaders with the same priority. This is used
+	 * for items that have already been requested, such as retries.
+	 * @private
+	 */
+	p._queueLoader = function(loader, first) {
+		var priority = loader.getItem().priority;
+		var l = this._loadQueue.length;
+		for (var i=0; i<l; i++) {
+			var queuedPriority = this._loadQueue[i].getItem().priority;
+			if (queuedPriority < priority || (first && queuedPriority == priority)) { break; }
+		}
+		this._loadQueue.splice(i, 0, loader);
 	};
 
 	/**
@@ -939,10 +2415,11 @@ TODO: WINDOWS ISSUES
 	 * alter the load item.
 	 * @method _createLoadItem
 	 * @param {String | Object | HTMLAudioElement | HTMLImageElement} value The item that needs to be preloaded.
+	 * @param {String} [path] The base path to use if the item does not define one.
 	 * @return {Object} The loader instance that will be used.
 	 * @private
 	 */
-	p._createLoadItem = function(value) {
+	p._createLoadItem = function(value, path, group) {
 		var item;
 
 		// Create/modify a load item
@@ -966,6 +2443,11 @@ TODO: WINDOWS ISSUES
 				break;
 		}
 
+		// Items with alternative sources load the one that suits the browser best.
+		if (item.sources != null && item.sources.length > 0) {
+			this._selectSource(item);
+		}
+
 		// Once its loaded, the item will contain a result.
 		item.result = null;
 		var match = this._parseURI(item.src);
@@ -984,6 +2466,11 @@ TODO: WINDOWS ISSUES
             item.id = item.src;
 		}
 
+		item.priority = Number(item.priority) || 0;
+		if (item.path == null && path != null) { item.path = path; }
+		if (item.group == null && group != null) { item.group = group; }
+		if (typeof item.dependsOn == "string") { item.dependsOn = [item.dependsOn]; }
+
 		// Give plugins a chance to modify the loadItem:
 		var customHandler = this._typeCallbacks[item.type] || this._extensionCallbacks[item.ext];
 		if (customHandler) {
@@ -1021,6 +2508,92 @@ TODO: WINDOWS ISSUES
 		return item;
 	};
 
+	/**
+	 * Choose the source of an item that lists alternative <code>sources</code>, and set it as the <code>src</code>
+	 * of the item. Please see the <code>sources</code> property in {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}.
+	 * @method _selectSource
+	 * @param {Object} item The load item.
+	 * @private
+	 */
+	p._selectSource = function(item) {
+		var sources = [];
+		for (var i=0, l=item.sources.length; i<l; i++) {
+			var source = item.sources[i];
+			if (typeof source == "string") { source = {src:source}; }
+			var match = this._parseURI(source.src);
+			sources.push({
+				src: source.src,
+				format: source.format || (match && match[5]) || null,
+				density: parseFloat(source.density) || 1
+			});
+		}
+
+		// The logical id and type do not depend on the source that is chosen.
+		var fallback = item.src || sources[sources.length-1].src;
+		if (item.id == null || item.id == "") { item.id = item.src || sources[0].src; }
+		if (item.type == null) {
+			match = this._parseURI(sources[0].src);
+			item.type = this._getTypeByExtension(match && match[5]);
+		}
+
+		var chosen = null;
+		if (item.type == createjs.LoadQueue.IMAGE) {
+			chosen = this._selectImageSource(sources);
+		} else if (item.type == createjs.LoadQueue.SOUND) {
+			chosen = this._selectSoundSource(sources);
+		} else {
+			chosen = sources[0];
+		}
+
+		// Sounds without a playable source fail when they load. Please see TagLoader.
+		item.source = chosen;
+		item.src = (chosen != null) ? chosen.src : fallback;
+		item.density = (chosen != null) ? chosen.density : 1;
+	};
+
+	/**
+	 * Choose the best image source, using the first supported format, and the density that is closest to the
+	 * <code>pixelRatio</code> without being lower, if possible.
+	 * @method _selectImageSource
+	 * @param {Array} sources The formatted sources, in order of preference.
+	 * @return {Object} The chosen source, or null if none of the formats are supported.
+	 * @private
+	 */
+	p._selectImageSource = function(sources) {
+		var ratio = this.pixelRatio || window.devicePixelRatio || 1;
+		var format, chosen = null;
+		for (var i=0, l=sources.length; i<l; i++) {
+			var source = sources[i];
+			if (chosen == null) {
+				if (!s.isImageFormatSupported(source.format)) { continue; }
+				format = s._getImageFormat(source.format);
+			} else if (s._getImageFormat(source.format) != format) {
+				continue;
+			}
+
+			if (chosen == null
+					|| (chosen.density < ratio && source.density > chosen.density)
+					|| (source.density >= ratio && source.density < chosen.density)) {
+				chosen = source;
+			}
+		}
+		return chosen;
+	};
+
+	/**
+	 * Choose the first audio source that the browser can play.
+	 * @method _selectSoundSource
+	 * @param {Array} sources The formatted sources, in order of preference.
+	 * @return {Object} The chosen source, or null if none of the formats can be played.
+	 * @private
+	 */
+	p._selectSoundSource = function(sources) {
+		for (var i=0, l=sources.length; i<l; i++) {
+			if (s.isAudioFormatSupported(sources[i].format)) { return sources[i]; }
+		}
+		return null;
+	};
+
 	/**
 	 * Create a loader for a load item.
 	 * @method _createLoader
@@ -1035,43 +2608,152 @@ TODO: WINDOWS ISSUES
 		// Determine the XHR usage overrides:
 		switch (item.type) {
 			case createjs.LoadQueue.JSON:
+			case createjs.LoadQueue.MANIFEST:
 			case createjs.LoadQueue.XML:
 			case createjs.LoadQueue.TEXT:
 				useXHR = true; // Always use XHR2 with text/XML
 				break;
 			case createjs.LoadQueue.SOUND:
-				useXHR = false; // Never load audio using XHR. WebAudio will be loaded as a BINARY type.
+				useXHR = this._useWebAudio(item); // Only load audio using XHR when it is decoded using Web Audio.
+				break;
+			case createjs.LoadQueue.JSONP:
+				useXHR = false; // JSONP only works with a SCRIPT tag.
 				break;
 			// Note: IMAGE, CSS, SCRIPT, SVG can all use TAGS or XHR.
 		}
 
+		// Tags can not send custom requests. Items that must use tags will fail to load (see TagLoader).
+		if (!useXHR && item.type != createjs.LoadQueue.SOUND && item.type != createjs.LoadQueue.JSONP
+				&& s.hasRequestOptions(item)) {
+			useXHR = true;
+		}
+
+		var src = this._getLoadURL(item);
 		if (useXHR) {
-			return new createjs.XHRLoader(item);
+			// Fetch options are ignored by other loaders, so fetch is always used, and the item is not cached.
+			if (s.hasFetchOptions(item)) {
+				return new createjs.FetchLoader(item, src);
+			}
+			var download = this._getDownload(item);
+			if (this._canUseWorker(item, download)) {
+				return new createjs.WorkerLoader(item, src, this._getCache(item));
+			}
+			if (this.useFetch && download == null && createjs.FetchLoader && createjs.FetchLoader.isSupported()) {
+				return new createjs.FetchLoader(item, src, this._getCache(item));
+			}
+			return new createjs.XHRLoader(item, src, this._getCache(item), download);
 		} else {
-			return new createjs.TagLoader(item);
+			return new createjs.TagLoader(item, src);
+		}
+	};
+
+
+	/**
+	 * Determine if a SOUND item is loaded as binary and decoded using Web Audio. Please see <code>useWebAudio</code>.
+	 * Sounds that have no playable source use a tag, which fails to load them.
+	 * @method _useWebAudio
+	 * @param {Object} item The load item.
+	 * @return {Boolean} If the sound is decoded using Web Audio.
+	 * @private
+	 */
+	p._useWebAudio = function(item) {
+		var useWebAudio = (item.webAudio != null) ? item.webAudio : this.useWebAudio;
+		if (!useWebAudio || (item.sources != null && item.source == null)) { return false; }
+		return this.audioContext != null || !!(window.AudioContext || window.webkitAudioContext);
+	};
+
+	/**
+	 * Get the AudioContext that sounds are decoded with. Please see <code>audioContext</code>.
+	 * @method _getAudioContext
+	 * @return {AudioContext} The context.
+	 * @private
+	 */
+	p._getAudioContext = function() {
+		if (this.audioContext != null) { return this.audioContext; }
+		if (s._audioContext == null) {
+			var AudioContext = window.AudioContext || window.webkitAudioContext;
+			s._audioContext = new AudioContext();
+		}
+		return s._audioContext;
+	};
+
+	/**
+	 * Determine if an item can be loaded in a worker. Please see <code>useWorker</code>.
+	 * @method _canUseWorker
+	 * @param {Object} item The load item.
+	 * @param {Object} download The range request download of the item, if it has one.
+	 * @return {Boolean} If the item should be loaded using a WorkerLoader.
+	 * @private
+	 */
+	p._canUseWorker = function(item, download) {
+		if (!this.useWorker || item.stream || download != null || !createjs.WorkerLoader) { return false; }
+
+		// Only text and plain objects are sent to the worker. Other bodies, such as FormData, can not be cloned.
+		if (item.body != null && typeof item.body != "string" && item.body.constructor != Object) { return false; }
+		switch (item.type) {
+			case s.JSON:
+			case s.MANIFEST:
+			case s.XML:
+			case s.TEXT:
+			case s.BINARY:
+				return createjs.WorkerLoader.isSupported();
 		}
+		return false;
+	};
+
+	/**
+	 * Get the persistent cache to use for an item. Items that make custom requests are not cached.
+	 * @method _getCache
+	 * @param {Object} item The load item.
+	 * @return {AssetCache} The cache, or null if the item should not be cached.
+	 * @private
+	 */
+	p._getCache = function(item) {
+		if (this._cache == null || item.cache === false || s.hasRequestOptions(item)) { return null; }
+		return this._cache;
 	};
 
+	/**
+	 * Get the download of an item that is loaded in parts using range requests. The download is shared by the
+	 * loaders of the item, so that each one resumes where the last one stopped.
+	 * @method _getDownload
+	 * @param {Object} item The load item.
+	 * @return {Object} The download, or null if the item is not loaded using range requests.
+	 * @private
+	 */
+	p._getDownload = function(item) {
+		if (item.type != s.BINARY || !(item.rangeSize > 0) || s.hasRequestOptions(item)) { return null; }
+		var download = this._downloads[item.src];
+		if (download == null) {
+			download = this._downloads[item.src] = {chunks:[], bytesLoaded:0, bytesTotal:null, validator:null};
+		}
+		return download;
+	};
 
 	/**
 	 * Load the next item in the queue. If the queue is empty (all items have been loaded), then the complete event
-	 * is processed. The queue will "fill up" any empty slots, up to the max connection specified using
+	 * is processed. The queue is sorted by priority, so the items with the highest priority are loaded first. The
+	 * queue will "fill up" any empty slots, up to the max connection specified using
 	 * {{#crossLink "LoadQueue.setMaxConnections"}}{{/crossLink}} method. The only exception is scripts that are loaded
 	 * using tags, which have to be loaded one at a time to maintain load order.
 	 * @method _loadNext
 	 * @private
 	 */
 	p._loadNext = function() {
+		this._processWaitingItems();
 		if (this._paused) { return; }
 
 		// Only dispatch loadStart event when the first file is loaded.
 		if (!this._loadStartWasDispatched) {
+			this._loadStartTime = new Date().getTime();
+			this._speedSample = {time:this._loadStartTime, bytes:this._bytesReceived};
 			this._sendLoadStart();
 			this._loadStartWasDispatched = true;
 		}
 
 		if (this._numItems == this._numItemsLoaded) {
 			this.loaded = true;
+			if (this._loadEndTime == null) { this._loadEndTime = new Date().getTime(); }
 			this._sendComplete();
 			if (this.next && this.next.load) {
 				this.next.load();
@@ -1079,34 +2761,106 @@ TODO: WINDOWS ISSUES
 			}
 		}
 
-		// Must iterate forwards to load in the right order.
-		for (var i=0, l=this._loadQueue.length; i<l; i++) {
+		// Must iterate forwards to load in the right order (see _queueLoader). Note that the length is checked on every
+		// iteration, since loaders that fail immediately will load the next item before this loop continues.
+		for (var i=0; i<this._loadQueue.length; i++) {
 			if (this._currentLoads.length >= this._maxConnections) { break; }
 			var loader = this._loadQueue[i];
 
 			// Determine if we should be only loading one at a time:
-			if (this.maintainScriptOrder
+			var isOrderedScript = this.maintainScriptOrder
 					&& loader instanceof createjs.TagLoader
-					&& loader.getItem().type == createjs.LoadQueue.JAVASCRIPT) {
-				if (this._currentlyLoadingScript) { continue; } // Later items in the queue might not be scripts.
-				this._currentlyLoadingScript = true;
+					&& loader.getItem().type == createjs.LoadQueue.JAVASCRIPT;
+			// Later items in the queue might not be scripts. Scripts run in the order they were added, regardless of
+			// their priority.
+			if (isOrderedScript && (this._currentlyLoadingScript || !this._isFirstQueuedScript(loader))) { continue; }
+
+			// JSONP items that share a callback name load one at a time, so they do not replace each other's callback.
+			if (this._isCallbackLoading(loader.getItem())) { continue; }
+
+			// Tags are used as soon as they load (scripts run, for example), so they wait for their dependencies.
+			if (loader instanceof createjs.TagLoader && loader.getItem().dependsOn != null) {
+				var dependencies = this._checkDependencies(loader.getItem());
+				if (dependencies === true) { continue; }
+				if (dependencies != null) {
+					this._loadQueue.splice(i, 1);
+					i--;
+					this._handleDependencyError(loader.getItem(), dependencies);
+					continue;
+				}
 			}
+
+			// Only claim the script slot once the script actually starts, so scripts that wait do not block others.
+			if (isOrderedScript) { this._currentlyLoadingScript = true; }
 			this._loadQueue.splice(i, 1);
+			i--;
 			this._loadItem(loader);
-			i--; l--;
 		}
 	};
 
+	/**
+	 * Determine if a script that is loaded using a tag was added before any other queued scripts that are loaded
+	 * using tags. Scripts that are waiting for their dependencies (see the <code>dependsOn</code> property in
+	 * {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}) do not hold back the scripts after them. Please see
+	 * <code>maintainScriptOrder</code>.
+	 * @method _isFirstQueuedScript
+	 * @param {AbstractLoader} loader The loader of the script.
+	 * @return {Boolean} If the script is the first queued script.
+	 * @private
+	 */
+	p._isFirstQueuedScript = function(loader) {
+		for (var i=0, l=this._loadQueueBackup.length; i<l; i++) {
+			var queued = this._loadQueueBackup[i];
+			if (queued == loader) { return true; }
+			var item = queued.getItem();
+			if (queued instanceof createjs.TagLoader && item.type == s.JAVASCRIPT && this._loadQueue.indexOf(queued) > -1
+					&& (item.dependsOn == null || this._checkDependencies(item) !== true)) {
+				return false;
+			}
+		}
+		return true;
+	};
+
+	/**
+	 * Determine if a JSONP item uses the same <code>callback</code> as an item that is currently loading.
+	 * @method _isCallbackLoading
+	 * @param {Object} item The load item.
+	 * @return {Boolean} If the callback of the item is in use.
+	 * @private
+	 */
+	p._isCallbackLoading = function(item) {
+		if (item.type != s.JSONP || item.callback == null) { return false; }
+		for (var i=0, l=this._currentLoads.length; i<l; i++) {
+			var current = this._currentLoads[i].getItem();
+			if (current.type == s.JSONP && current.callback == item.callback) { return true; }
+		}
+		return false;
+	};
+
 	/**
 	 * Begin loading an item. Events are not added to the loaders until the load starts.
 	 * @method _loadItem
-	 * @param {AbstractLoader} loader The loader instance to start. Currently, this will be an XHRLoader or TagLoader.
+	 * @param {AbstractLoader} loader The loader instance to start. Currently, this will be an XHRLoader, FetchLoader, WorkerLoader, or TagLoader.
 	 * @private
 	 */
 	p._loadItem = function(loader) {
 		loader.addEventListener("progress", createjs.proxy(this._handleProgress, this));
+		loader.addEventListener("chunk", createjs.proxy(this._handleChunk, this));
 		loader.addEventListener("complete", createjs.proxy(this._handleFileComplete, this));
 		loader.addEventListener("error", createjs.proxy(this._handleFileError, this));
+		// Bytes that were downloaded by a previous attempt are not received again.
+		var download = this._downloads[loader.getItem().src];
+		var bytesLoaded = (download != null) ? download.bytesLoaded : 0;
+		var id = loader.getItem().id;
+		this._itemStats[id] = {startTime:new Date().getTime(), endTime:null, bytesLoaded:bytesLoaded, bytesTotal:0,
+				attempts:(this._retryCounts[id] || 0) + 1};
+
+		// Retries are timed from their own start.
+		var timing = loader.getItem().timing;
+		if (timing != null) { delete timing.firstByte; delete timing.loaded; delete timing.ready; }
+		s._markTime(loader.getItem(), "started", true);
+
+		this._loadEndTime = null;
 		this._currentLoads.push(loader);
 		loader.load();
 	};
@@ -1120,14 +2874,9 @@ TODO: WINDOWS ISSUES
 	 */
 	p._handleFileError = function(event) {
 		var loader = event.target;
-		this._numItemsLoaded++;
-		this._updateProgress();
+		if (this._retryItem(loader, event)) { return; }
 
-		var event = {
-			//TODO: Add error text?
-			item: loader.getItem()
-		};
-		this._sendError(event);
+		this._processFailedLoad(loader, event);
 
 		if (!this.stopOnError) {
 			this._removeLoadItem(loader);
@@ -1136,27 +2885,199 @@ TODO: WINDOWS ISSUES
 	};
 
 	/**
-	 * An item has finished loading. We can assume that it is totally loaded, has been parsed for immediate use, and
-	 * is available as the "result" property on the load item. The raw text result for a parsed item (such as JSON, XML, 
-	 * CSS, JavaScript, etc) is available as the "rawResult" event, and can also be looked up using {{#crossLink "LoadQueue/getResult"}}{{/crossLink}}.
-	 * @method _handleFileComplete
-	 * @param {Object} event The event object from the loader.
+	 * An item has failed, and will not be retried. Record and dispatch the error.
+	 * @method _processFailedLoad
+	 * @param {AbstractLoader} loader The loader of the item that failed.
+	 * @param {Object} event The error event, containing relevant error information.
 	 * @private
 	 */
-	p._handleFileComplete = function(event) {
-		var loader = event.target;
-		var item = loader.getItem();
+	p._processFailedLoad = function(loader, event) {
+		this._numItemsLoaded++;
+		this._itemProgress[loader.getItem().id] = 1;
+		this._endItemStats(loader.getItem());
+		s._markTime(loader.getItem(), "error");
+		this._updateProgress();
 
-		this._loadedResults[item.id] = loader.getResult();
-		if (loader instanceof createjs.XHRLoader) {
-			this._loadedRawResults[item.id] = loader.getResult(true);
+		// Dispatch a copy of the error from the loader, which contains the reason, status, and other details.
+		var item = loader.getItem();
+		var error = {};
+		for (var n in event) {
+			if (n != "target" && n != "type") { error[n] = event[n]; }
 		}
+		error.item = item;
+		event = error;
+		this._loadErrors[item.id] = event;
+		this._sendError(event);
+		this._rejectDeferreds(item.id, event);
+		this._rejectDeferreds(item.src, event);
+		this._updateGroupProgress(item.group);
+		this._checkGroupComplete(item.group);
+	};
+
+	/**
+	 * Determine if a failed item should be retried, and if so, schedule a new loader for it. The failed loader is
+	 * removed from the current loads, so that other items can use the open connection while the retry is delayed.
+	 * @method _retryItem
+	 * @param {AbstractLoader} loader The loader that failed.
+	 * @param {Object} event The error event from the loader.
+	 * @return {Boolean} If the item will be retried. If it will not, the error should be processed as normal.
+	 * @private
+	 */
+	p._retryItem = function(loader, event) {
+		var item = loader.getItem();
+		var policy = this._getRetryPolicy(item);
+		if (policy == null || !this._isRetryable(policy, event)) { return false; }
+
+		var attempt = (this._retryCounts[item.id] || 0) + 1;
+		if (attempt > policy.attempts) { return false; }
+		this._retryCounts[item.id] = attempt;
 
 		this._removeLoadItem(loader);
+		if (loader instanceof createjs.TagLoader && item.type == createjs.LoadQueue.JAVASCRIPT) {
+			this._currentlyLoadingScript = false;
+		}
 
-		// Ensure that script loading happens in the right order.
-		if (this.maintainScriptOrder && item.type == createjs.LoadQueue.JAVASCRIPT) {
-			if (loader instanceof createjs.TagLoader) {
+		// Loaders can only be used once, so a new one replaces the failed one, including in the backup queue.
+		var retryLoader = this._createLoader(item);
+		var index = this._loadQueueBackup.indexOf(loader);
+		if (index > -1) { this._loadQueueBackup[index] = retryLoader; }
+
+		var delay = this._getRetryDelay(policy, attempt);
+		var retry = {loader: retryLoader, timeout: null};
+		var _this = this;
+		retry.timeout = setTimeout(function() { _this._handleRetryTimeout(retry); }, delay);
+		this._pendingRetries.push(retry);
+
+		this._sendRetry(item, attempt, policy.attempts, delay, event);
+		this._loadNext();
+		return true;
+	};
+
+	/**
+	 * The delay before a retry has elapsed. Add the new loader ahead of any queued items with the same priority.
+	 * @method _handleRetryTimeout
+	 * @param {Object} retry The retry entry that was stored in <code>_pendingRetries</code>.
+	 * @private
+	 */
+	p._handleRetryTimeout = function(retry) {
+		var index = this._pendingRetries.indexOf(retry);
+		if (index == -1) { return; }
+		this._pendingRetries.splice(index, 1);
+		this._queueLoader(retry.loader, true);
+		this._loadNext();
+	};
+
+	/**
+	 * Look up the retry policy for a load item. Items can define their own policy using the <code>retry</code>
+	 * property, which is applied on top of the queue policy.
+	 * @method _getRetryPolicy
+	 * @param {Object} item The load item.
+	 * @return {Object} The retry policy, or null if the item should not be retried.
+	 * @private
+	 */
+	p._getRetryPolicy = function(item) {
+		if (item.retry === false) { return null; }
+		if (item.retry != null && typeof(item.retry) == "object") {
+			return this._mergeRetryPolicy(this._retryPolicy || s.RETRY_DEFAULTS, item.retry);
+		}
+		return this._retryPolicy;
+	};
+
+	/**
+	 * Combine two retry policies into a new object.
+	 * @method _mergeRetryPolicy
+	 * @param {Object} base The policy that provides default values.
+	 * @param {Object} policy The policy that overrides the base values.
+	 * @return {Object} The combined retry policy.
+	 * @private
+	 */
+	p._mergeRetryPolicy = function(base, policy) {
+		var result = {};
+		for (var n in base) { result[n] = base[n]; }
+		for (n in policy) {
+			if (policy[n] != null) { result[n] = policy[n]; }
+		}
+		return result;
+	};
+
+	/**
+	 * Determine if a failed load can be retried, based on the error reason, and the HTTP status of the request.
+	 * @method _isRetryable
+	 * @param {Object} policy The retry policy of the item.
+	 * @param {Object} event The error event from the loader.
+	 * @return {Boolean} If the error can be retried.
+	 * @private
+	 */
+	p._isRetryable = function(policy, event) {
+		if (policy.attempts <= 0 || policy.reasons.indexOf(event.reason) == -1) { return false; }
+		if (event.reason == "PRELOAD_HTTP_STATUS") {
+			return policy.statuses.indexOf(event.status) > -1;
+		}
+		return true;
+	};
+
+	/**
+	 * Determine the delay before an item is retried. The delay grows exponentially with each attempt, up to the
+	 * <code>maxDelay</code>, and is randomly reduced using the <code>jitter</code> of the policy.
+	 * @method _getRetryDelay
+	 * @param {Object} policy The retry policy of the item.
+	 * @param {Number} attempt The retry attempt, starting at 1.
+	 * @return {Number} The delay in milliseconds.
+	 * @private
+	 */
+	p._getRetryDelay = function(policy, attempt) {
+		var delay = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.factor, attempt-1));
+		delay -= delay * policy.jitter * Math.random();
+		return Math.round(delay);
+	};
+
+	/**
+	 * An item has finished loading. We can assume that it is totally loaded, has been parsed for immediate use, and
+	 * is available as the "result" property on the load item. The raw text result for a parsed item (such as JSON, XML, 
+	 * CSS, JavaScript, etc) is available as the "rawResult" event, and can also be looked up using {{#crossLink "LoadQueue/getResult"}}{{/crossLink}}.
+	 * @method _handleFileComplete
+	 * @param {Object} event The event object from the loader.
+	 * @private
+	 */
+	p._handleFileComplete = function(event) {
+		var loader = event.target;
+		var item = loader.getItem();
+
+		// Manifests add their items to the queue before they complete, so the queue does not complete early.
+		if (item.type == createjs.LoadQueue.MANIFEST) {
+			var manifest = loader.getResult();
+			if (manifest == null || !(manifest instanceof Array || manifest.manifest instanceof Array)) {
+				this._handleFileError({target:loader, reason:"PRELOAD_MANIFEST_INVALID"});
+				return;
+			}
+			var location = this._getDirectory(this._resolvePath(item.src, item.path));
+			this._manifestItems[item.id] = this._addManifestItems(manifest, item.path, item.group, location);
+		}
+
+		// Images are decoded first, and complete once they are decoded.
+		if (item.type == createjs.LoadQueue.IMAGE && !event.decoded && this._getImageDecoding(item)) {
+			this._decodeImage(loader);
+			return;
+		}
+
+		// Sounds that were not loaded using tags are decoded using Web Audio.
+		if (item.type == createjs.LoadQueue.SOUND && !event.decoded && !(loader instanceof createjs.TagLoader)) {
+			this._decodeSound(loader);
+			return;
+		}
+
+		this._loadedResults[item.id] = (event.result != null) ? event.result : loader.getResult();
+		if (!(loader instanceof createjs.TagLoader)) {
+			this._loadedRawResults[item.id] = loader.getResult(true);
+			if (loader.getObjectURL() != null) { this._objectURLs[item.id] = loader.getObjectURL(); }
+		}
+
+		this._removeLoadItem(loader);
+		delete this._downloads[item.src];
+
+		// Ensure that script loading happens in the right order.
+		if (this.maintainScriptOrder && item.type == createjs.LoadQueue.JAVASCRIPT) {
+			if (loader instanceof createjs.TagLoader) {
 				this._currentlyLoadingScript = false;
 			} else {
 				this._loadedScripts[this._scriptOrder.indexOf(item)] = item;
@@ -1168,14 +3089,325 @@ TODO: WINDOWS ISSUES
 		this._processFinishedLoad(item);
 	}
 
+	/**
+	 * Determine how an image item is decoded. Please see <code>decodeImages</code>.
+	 * @method _getImageDecoding
+	 * @param {Object} item The load item.
+	 * @return {Boolean|String} <code>true</code>, <code>"bitmap"</code>, or <code>false</code> if the image is
+	 * not decoded.
+	 * @private
+	 */
+	p._getImageDecoding = function(item) {
+		var decode = (item.decode != null) ? item.decode : this.decodeImages;
+		return decode || false;
+	};
+
+	/**
+	 * Decode a loaded image, and then complete it. The item stays in the current loads until it is decoded, so it
+	 * can still be paused, canceled, or removed. If the image can not be decoded, the item fails with a
+	 * PRELOAD_IMAGE_INVALID error.
+	 * @method _decodeImage
+	 * @param {AbstractLoader} loader The loader of the image.
+	 * @private
+	 */
+	p._decodeImage = function(loader) {
+		var item = loader.getItem();
+		var tag = loader.getResult();
+		var _this = this;
+
+		var handleDecoded = function(bitmap) {
+			if (!_this._isDecoding(loader)) {
+				bitmap && bitmap.close && bitmap.close();
+				return;
+			}
+			if (bitmap != null) { _this._bitmaps[item.id] = bitmap; }
+			s._markTime(item, "ready", true);
+			_this._handleFileComplete({target:loader, type:"complete", decoded:true});
+		};
+		var handleError = function(error) {
+			if (!_this._isDecoding(loader)) { return; }
+			_this._handleFileError({target:loader, type:"error", reason:"PRELOAD_IMAGE_INVALID",
+					error:(error != null) ? error.message : null});
+		};
+
+		if (this._getImageDecoding(item) == "bitmap" && window.createImageBitmap) {
+			window.createImageBitmap(tag).then(handleDecoded, handleError);
+		} else if (tag.decode) {
+			tag.decode().then(function() { handleDecoded(null); }, handleError);
+		} else {
+			handleDecoded(null);
+		}
+	};
+
+	/**
+	 * Decode a loaded sound using Web Audio, and then complete it with the decoded <code>AudioBuffer</code> as its
+	 * result. A copy of the content is decoded, since decoding detaches it, and it is kept as the raw result. If the
+	 * sound can not be decoded, the item fails with a PRELOAD_SOUND_INVALID error.
+	 * @method _decodeSound
+	 * @param {AbstractLoader} loader The loader of the sound.
+	 * @private
+	 */
+	p._decodeSound = function(loader) {
+		var item = loader.getItem();
+		var data = loader.getResult(true);
+		var _this = this;
+
+		var handleDecoded = function(buffer) {
+			if (!_this._isDecoding(loader)) { return; }
+			s._markTime(item, "ready", true);
+			_this._handleFileComplete({target:loader, type:"complete", decoded:true, result:buffer});
+		};
+		var handleError = function(error) {
+			if (!_this._isDecoding(loader)) { return; }
+			_this._handleFileError({target:loader, type:"error", reason:"PRELOAD_SOUND_INVALID",
+					error:(error != null) ? error.message : null});
+		};
+
+		var promise;
+		try {
+			promise = this._getAudioContext().decodeAudioData(data.slice(0), handleDecoded, handleError);
+		} catch (error) {
+			handleError(error);
+			return;
+		}
+		// Newer browsers also return a Promise, which is rejected when decoding fails. The callbacks handle it.
+		if (promise != null && promise.then != null) { promise.then(null, function() {}); }
+	};
+
+	/**
+	 * Determine if a loaded item that is being decoded is still loading. Items that are paused, canceled, or removed
+	 * while they are decoded are no longer in the current loads, and their result is ignored.
+	 * @method _isDecoding
+	 * @param {AbstractLoader} loader The loader of the item.
+	 * @return {Boolean} If the item is still loading.
+	 * @private
+	 */
+	p._isDecoding = function(loader) {
+		return !this._isCanceled() && this._currentLoads.indexOf(loader) > -1;
+	};
+
 	p._processFinishedLoad = function(item) {
+		var dependencies = this._checkDependencies(item);
+		if (dependencies === true) {
+			this._waitingItems.push(item);
+		} else if (dependencies != null) {
+			this._handleDependencyError(item, dependencies);
+			return;
+		} else {
+			this._completeItem(item);
+		}
+		this._loadNext();
+	};
+
+	/**
+	 * Complete an item that has loaded, and whose dependencies are complete.
+	 * @method _completeItem
+	 * @param {Object} item The load item.
+	 * @private
+	 */
+	p._completeItem = function(item) {
 		// Old handleFileTagComplete follows here.
 		this._numItemsLoaded++;
+		this._itemProgress[item.id] = 1;
+		this._endItemStats(item);
+		delete this._retryCounts[item.id];
+		s._markTime(item, "complete");
 
 		this._updateProgress();
+		this._updateGroupProgress(item.group);
 		this._sendFileComplete(item);
+		this._checkGroupComplete(item.group);
+	};
 
-		this._loadNext();
+	/**
+	 * Determine if the items that an item depends on (using its <code>dependsOn</code> list) are complete. Items
+	 * that are not in the queue are only considered missing once all the manifest files have loaded, since their
+	 * items might not have been added yet.
+	 * @method _checkDependencies
+	 * @param {Object} item The load item.
+	 * @return {Boolean|Object} <code>null</code> if the item has no dependencies, or they are complete,
+	 * <code>true</code> if the item must wait for them, or an object containing the error <code>reason</code> and
+	 * the <code>dependency</code> (or the <code>cycle</code> of ids) that caused it.
+	 * @private
+	 */
+	p._checkDependencies = function(item) {
+		var dependencies = item.dependsOn;
+		if (dependencies == null) { return null; }
+
+		var cycle = this._findDependencyCycle(item, item, []);
+		if (cycle != null) {
+			return {reason:"PRELOAD_DEPENDENCY_CYCLE", cycle:[item.id].concat(cycle)};
+		}
+
+		var waiting = false;
+		for (var i=0, l=dependencies.length; i<l; i++) {
+			var dependency = this.getItem(dependencies[i]);
+			if (dependency == null) {
+				if (this._hasPendingManifests()) { waiting = true; continue; }
+				return {reason:"PRELOAD_DEPENDENCY_MISSING", dependency:dependencies[i]};
+			}
+			if (this._loadErrors[dependency.id] != null || this._canceledLoaders[dependency.id] != null) {
+				return {reason:"PRELOAD_DEPENDENCY_FAILED", dependency:dependencies[i]};
+			}
+			if (!this._isFinished(dependency)) { waiting = true; }
+		}
+		return waiting || null;
+	};
+
+	/**
+	 * Search the dependencies of an item for a path that leads back to the start item.
+	 * @method _findDependencyCycle
+	 * @param {Object} start The item to find a cycle for.
+	 * @param {Object} item The item to search the dependencies of.
+	 * @param {Array} visited The items that have already been searched.
+	 * @return {Array} The ids of the items in the cycle after the start item, ending with the start item, or
+	 * <code>null</code> if there is no cycle.
+	 * @private
+	 */
+	p._findDependencyCycle = function(start, item, visited) {
+		var dependencies = item.dependsOn;
+		if (dependencies == null) { return null; }
+
+		for (var i=0, l=dependencies.length; i<l; i++) {
+			var dependency = this.getItem(dependencies[i]);
+			if (dependency == null) { continue; }
+			if (dependency == start) { return [start.id]; }
+			if (visited.indexOf(dependency) > -1) { continue; }
+			visited.push(dependency);
+
+			var cycle = this._findDependencyCycle(start, dependency, visited);
+			if (cycle != null) { return [dependency.id].concat(cycle); }
+		}
+		return null;
+	};
+
+	/**
+	 * Determine if any manifest files are still loading.
+	 * @method _hasPendingManifests
+	 * @return {Boolean} If a manifest file has not completed or failed.
+	 * @private
+	 */
+	p._hasPendingManifests = function() {
+		for (var i=0, l=this._loadQueueBackup.length; i<l; i++) {
+			var item = this._loadQueueBackup[i].getItem();
+			if (item.type == createjs.LoadQueue.MANIFEST && !this._isFinished(item)) { return true; }
+		}
+		return false;
+	};
+
+	/**
+	 * Complete or fail the items that are waiting for their dependencies, once the dependencies allow it. Completing
+	 * an item can complete items that depend on it, so the list is checked again from the start each time.
+	 * @method _processWaitingItems
+	 * @private
+	 */
+	p._processWaitingItems = function() {
+		for (var i=0; i<this._waitingItems.length; i++) {
+			var item = this._waitingItems[i];
+			var dependencies = this._checkDependencies(item);
+			if (dependencies === true) { continue; }
+
+			this._waitingItems.splice(i, 1);
+			if (dependencies == null) {
+				this._completeItem(item);
+			} else {
+				this._processFailedLoad(this._getLoader(item), this._createDependencyError(item, dependencies));
+			}
+			i = -1;
+		}
+	};
+
+	/**
+	 * Fail an item because of its dependencies. Its result is discarded.
+	 * @method _handleDependencyError
+	 * @param {Object} item The load item.
+	 * @param {Object} dependencies The error returned by {{#crossLink "LoadQueue/_checkDependencies"}}{{/crossLink}}.
+	 * @private
+	 */
+	p._handleDependencyError = function(item, dependencies) {
+		this._handleFileError(this._createDependencyError(item, dependencies));
+	};
+
+	/**
+	 * Create the error event for an item that failed because of its dependencies, and discard its result.
+	 * @method _createDependencyError
+	 * @param {Object} item The load item.
+	 * @param {Object} dependencies The error returned by {{#crossLink "LoadQueue/_checkDependencies"}}{{/crossLink}}.
+	 * @return {Object} The error event, which targets the loader of the item.
+	 * @private
+	 */
+	p._createDependencyError = function(item, dependencies) {
+		delete this._loadedResults[item.id];
+		delete this._loadedRawResults[item.id];
+
+		var event = {target:this._getLoader(item)};
+		for (var n in dependencies) {
+			event[n] = dependencies[n];
+		}
+		return event;
+	};
+
+	/**
+	 * Stop an item that has not loaded yet, wherever it is in the queue: waiting to load, loading, waiting to be
+	 * retried, or paused.
+	 * @method _stopItem
+	 * @param {Object} item The load item.
+	 * @return {AbstractLoader} A new loader for the item, which replaces the stopped one, or <code>null</code> if the
+	 * item has already loaded or failed.
+	 * @private
+	 */
+	p._stopItem = function(item) {
+		if (this._isFinished(item) || this._waitingItems.indexOf(item) > -1) { return null; }
+		var loader = this._getLoader(item);
+		if (loader == null) { return null; }
+
+		var index = this._loadQueue.indexOf(loader);
+		if (index > -1) { this._loadQueue.splice(index, 1); }
+
+		index = this._pausedLoaders.indexOf(loader);
+		if (index > -1) { this._pausedLoaders.splice(index, 1); }
+
+		for (var i=this._pendingRetries.length-1; i>=0; i--) {
+			if (this._pendingRetries[i].loader == loader) {
+				clearTimeout(this._pendingRetries.splice(i,1)[0].timeout);
+			}
+		}
+
+		index = this._currentLoads.indexOf(loader);
+		if (index > -1) {
+			this._currentLoads.splice(index, 1)[0].cancel();
+			if (loader instanceof createjs.TagLoader && item.type == createjs.LoadQueue.JAVASCRIPT) {
+				this._currentlyLoadingScript = false;
+			}
+		}
+
+		// Loaders can only be used once, so a new one replaces the stopped one, including in the backup queue.
+		var newLoader = this._createLoader(item);
+		this._loadQueueBackup[this._loadQueueBackup.indexOf(loader)] = newLoader;
+
+		// Downloads that use range requests resume from the last part that was received.
+		var download = this._downloads[item.src];
+		this._itemProgress[item.id] = (download != null && download.bytesTotal > 0)
+				? download.bytesLoaded / download.bytesTotal : 0;
+		this._endItemStats(item);
+
+		// The item gets all of its retries again when it is resumed.
+		delete this._retryCounts[item.id];
+		return newLoader;
+	};
+
+	/**
+	 * Get the loader of a load item that is in the queue.
+	 * @method _getLoader
+	 * @param {Object} item The load item.
+	 * @return {AbstractLoader} The loader, or <code>null</code> if the item is not in the queue.
+	 * @private
+	 */
+	p._getLoader = function(item) {
+		for (var i=0, l=this._loadQueueBackup.length; i<l; i++) {
+			if (this._loadQueueBackup[i].getItem() == item) { return this._loadQueueBackup[i]; }
+		}
+		return null;
 	};
 
 	/**
@@ -1194,11 +3426,15 @@ TODO: WINDOWS ISSUES
 			var item = this._loadedScripts[i];
 			if (item === null) { break; } // This is still loading. Do not process further.
 			if (item === true) { continue; } // This has completed, and been processed. Move on.
+			if (this._canceledLoaders[item.id] != null) { // This was canceled, so it is not dispatched.
+				this._loadedScripts[i] = true;
+				continue;
+			}
+			if (this._pausedLoaders.indexOf(this._getLoader(item)) > -1) { break; } // This will load again.
 
 			// This item has finished, and is the next one to get dispatched.
 			this._processFinishedLoad(item);
 			this._loadedScripts[i] = true;
-			i--; l--;
 		}
 	};
 
@@ -1217,6 +3453,23 @@ TODO: WINDOWS ISSUES
 		}
 	};
 
+	/**
+	 * An item has received part of its content. Please see the <code>filechunk</code> event.
+	 * @method _handleChunk
+	 * @param {Object} event The chunk event from the loader.
+	 * @private
+	 */
+	p._handleChunk = function(event) {
+		if (this._isCanceled()) { return; }
+		this.dispatchEvent({
+			target: this,
+			type: "filechunk",
+			item: event.target.getItem(),
+			chunk: event.chunk,
+			offset: event.offset
+		});
+	};
+
 	/**
 	 * An item has dispatched progress. Propagate that progress, and update the LoadQueue overall progress.
 	 * @method _handleProgress
@@ -1225,44 +3478,457 @@ TODO: WINDOWS ISSUES
 	 */
 	p._handleProgress = function(event) {
 		var loader = event.target;
-		this._sendFileProgress(loader.getItem(), loader.progress);
+		var item = loader.getItem();
+		if (event.total > 0 && item.size == null) {
+			this._itemSizes[item.id] = event.total; // XHR reports the size from the Content-Length.
+		}
+
+		var stat = this._itemStats[item.id];
+		if (stat != null && event.total > 0 && event.loaded > stat.bytesLoaded) {
+			this._bytesReceived += event.loaded - stat.bytesLoaded;
+			stat.bytesLoaded = event.loaded;
+			stat.bytesTotal = event.total;
+		}
+		this._itemProgress[item.id] = loader.progress;
+		this._sendFileProgress(item, loader.progress);
 		this._updateProgress();
+		this._updateGroupProgress(item.group);
 	};
 
 	/**
 	 * Overall progress has changed, so determine the new progress amount and dispatch it. This changes any time an
-	 * item dispatches progress or completes. Note that since we don't know the actual filesize of items before they are
-	 * loaded, and even then we can only get the size of items loaded with XHR. In this case, we define a "slot" for
-	 * each item (1 item in 10 would get 10%), and then append loaded progress on top of the already-loaded items.
+	 * item dispatches progress or completes. Each item is weighted by its size in bytes, if it is known. Since we don't
+	 * know the size of all items (for example, items loaded using tags), items without a size are weighted using the
+	 * average size of the items with a known size. If no sizes are known, each item gets an equal "slot" (1 item in 10
+	 * would get 10%).
 	 *
-	 * For example, if 5/10 items have loaded, and item 6 is 20% loaded, the total progress would be:<ul>
-	 *      <li>5/10 of the items in the queue (50%)</li>
-	 *      <li>plus 20% of item 6's slot (2%)</li>
-	 *      <li>equals 52%</li></ul>
+	 * For example, if a 300 byte item has loaded, a 100 byte item is 50% loaded, and an item with an unknown size
+	 * has not started, the total progress would be:<ul>
+	 *      <li>350 bytes loaded</li>
+	 *      <li>of 600 bytes (400 bytes, plus the 200 byte average for the unknown item)</li>
+	 *      <li>equals 58%</li></ul>
 	 * @method _updateProgress
 	 * @private
 	 */
 	p._updateProgress = function () {
-		var loaded = this._numItemsLoaded / this._numItems; // Fully Loaded Progress
-		var remaining = this._numItems-this._numItemsLoaded;
-		if (remaining > 0) {
-			var chunk = 0;
-			for (var i=0, l=this._currentLoads.length; i<l; i++) {
-				chunk += this._currentLoads[i].progress;
+		var progress = this._getProgress();
+		this._progressBytes = (progress.bytesTotal > 0) ? {loaded:progress.loaded, total:progress.total} : null;
+
+		this.progress = progress.progress;
+		this._updateSpeed();
+		this._sendProgress({
+			loaded: this.progress,
+			total: 1,
+			bytesLoaded: progress.bytesLoaded,
+			bytesTotal: progress.bytesTotal,
+			stats: this.getStats()
+		});
+	};
+
+	/**
+	 * Determine the weighted progress of the queue, or of a group. Please see
+	 * {{#crossLink "LoadQueue/_updateProgress"}}{{/crossLink}}.
+	 * @method _getProgress
+	 * @param {String} [group] The name of a group. If this is not specified, all items are included.
+	 * @return {Object} An object containing the <code>progress</code> (between 0 and 1), the weighted
+	 * <code>loaded</code> and <code>total</code>, and the <code>bytesLoaded</code> and <code>bytesTotal</code>
+	 * of the items with a known size.
+	 * @private
+	 */
+	p._getProgress = function(group) {
+		var bytesLoaded = 0, bytesTotal = 0;
+		var unknownLoaded = 0, numUnknown = 0, numItems = 0;
+
+		for (var i=0, l=this._loadQueueBackup.length; i<l; i++) {
+			var item = this._loadQueueBackup[i].getItem();
+			if (group != null && item.group != group) { continue; }
+			if (this._canceledLoaders[item.id] != null) { continue; }
+			numItems++;
+
+			var progress = this._itemProgress[item.id] || 0;
+			var size = this._getItemSize(item);
+			if (size != null) {
+				bytesTotal += size;
+				bytesLoaded += size * progress;
+			} else {
+				numUnknown++;
+				unknownLoaded += progress;
 			}
-			loaded += (chunk / remaining) * (remaining/this._numItems);
 		}
-		this._sendProgress(loaded);
-	}
+
+		var weight = (bytesTotal > 0) ? bytesTotal / (numItems - numUnknown) : 1;
+		var total = bytesTotal + numUnknown * weight;
+		var loaded = bytesLoaded + unknownLoaded * weight;
+		return {
+			progress: (total > 0) ? loaded / total : 0,
+			loaded: loaded,
+			total: total,
+			bytesLoaded: Math.round(bytesLoaded),
+			bytesTotal: bytesTotal
+		};
+	};
+
+	/**
+	 * Dispatch the progress of a group. Please see the <code>groupprogress</code> event.
+	 * @method _updateGroupProgress
+	 * @param {String} group The name of the group. Nothing is dispatched for items without a group.
+	 * @private
+	 */
+	p._updateGroupProgress = function(group) {
+		if (group == null || this._isCanceled()) { return; }
+		var progress = this._getProgress(group);
+		this.dispatchEvent({
+			target: this,
+			type: "groupprogress",
+			group: group,
+			loaded: progress.progress,
+			total: 1,
+			bytesLoaded: progress.bytesLoaded,
+			bytesTotal: progress.bytesTotal
+		});
+	};
+
+	/**
+	 * Dispatch a <code>groupcomplete</code> event if all the items in a group have completed or failed.
+	 * @method _checkGroupComplete
+	 * @param {String} group The name of the group.
+	 * @private
+	 */
+	p._checkGroupComplete = function(group) {
+		if (group == null || this._completedGroups[group] || this._isCanceled()) { return; }
+
+		var items = this.getGroupItems(group);
+		var numFailed = 0;
+		for (var i=0, l=items.length; i<l; i++) {
+			if (this._canceledLoaders[items[i].id] != null) { continue; }
+			if (!this._isFinished(items[i])) { return; }
+			if (this._loadErrors[items[i].id] != null) { numFailed++; }
+		}
+
+		this._completedGroups[group] = true;
+		this.dispatchEvent({target:this, type:"groupcomplete", group:group, items:items, numFailed:numFailed});
+	};
+
+	/**
+	 * Determine if an item has completed or failed. Items that are waiting to be dispatched in order (see
+	 * <code>maintainScriptOrder</code>) are not finished.
+	 * @method _isFinished
+	 * @param {Object} item The load item.
+	 * @return {Boolean} If the item has completed or failed.
+	 * @private
+	 */
+	p._isFinished = function(item) {
+		var timing = item.timing;
+		return timing != null && (timing.complete != null || timing.error != null);
+	};
+
+	/**
+	 * Get a report of when each item was queued, started, and loaded, which can be used to find the items that slow
+	 * down a load. Each load item records the time of these events in its <code>timing</code> property, and the report
+	 * summarizes them. All times in the report are in milliseconds, relative to the time the first item was queued. The
+	 * report only contains numbers, strings, and arrays, so it can be exported using <code>JSON.stringify</code>.
+	 *
+	 *      queue.addEventListener("complete", function() {
+	 *          var timeline = queue.getTimeline();
+	 *          console.log(timeline.slowest[0].id, timeline.concurrency.max);
+	 *          sendToDashboard(JSON.stringify(timeline));
+	 *      });
+	 *
+	 * @method getTimeline
+	 * @param {Number} [numSlowest=5] The number of items to include in the <code>slowest</code> list.
+	 * @return {Object} The report, which contains:<ul>
+	 *      <li>startTime: The time the first item was queued, in milliseconds since the epoch.</li>
+	 *      <li>duration: The time until the last item completed or failed (or until now, if items are loading).</li>
+	 *      <li>numItems, numComplete, numFailed: The number of items, and how many completed or failed.</li>
+	 *      <li>items: An array of the items in the order they were added. Each contains the <code>id</code>,
+	 *      <code>src</code>, <code>type</code>, <code>status</code> ("queued", "loading", "complete", or
+	 *      "error"), the number of <code>attempts</code>, the <code>bytes</code> loaded, and if it was loaded
+	 *      <code>fromCache</code>. The times of the <code>queued</code>, <code>started</code>,
+	 *      <code>firstByte</code>, <code>loaded</code>, <code>ready</code> (when a tag could be used, for example
+	 *      when an image was decoded), <code>complete</code>, and <code>error</code> events are included, as well as
+	 *      these durations: <code>wait</code> (queued until started), <code>latency</code> (started until the first
+	 *      byte), <code>download</code> (the first byte until loaded), <code>decode</code> (loaded until ready), and
+	 *      <code>duration</code> (started until complete or failed). Times that are not known are null.</li>
+	 *      <li>slowest: The items with the longest <code>duration</code>, slowest first. Each contains the
+	 *      <code>id</code>, <code>src</code>, and <code>duration</code>.</li>
+	 *      <li>concurrency: The number of items that were loading at once. This contains the <code>max</code>,
+	 *      the time-weighted <code>average</code>, and <code>samples</code>, an array of objects containing the
+	 *      <code>time</code> that the number of loading items changed, and the new <code>count</code>.</li></ul>
+	 * @since 0.3.0
+	 */
+	p.getTimeline = function(numSlowest) {
+		if (numSlowest == null) { numSlowest = 5; }
+		var now = new Date().getTime();
+
+		var start = null;
+		for (var i=0, l=this._loadQueueBackup.length; i<l; i++) {
+			var timing = this._loadQueueBackup[i].getItem().timing;
+			if (timing != null && timing.queued != null && (start == null || timing.queued < start)) {
+				start = timing.queued;
+			}
+		}
+		if (start == null) { start = now; }
+
+		var time = function(value) { return (value == null) ? null : value - start; };
+		var diff = function(from, to) { return (from == null || to == null) ? null : to - from; };
+
+		var items = [];
+		var changes = [];
+		var numComplete = 0, numFailed = 0, end = start;
+		for (i=0; i<l; i++) {
+			var loader = this._loadQueueBackup[i];
+			var item = loader.getItem();
+			timing = item.timing || {};
+			var stat = this._itemStats[item.id];
+			var finished = (timing.complete != null) ? timing.complete : timing.error;
+
+			var status = "queued";
+			if (timing.complete != null) {
+				status = "complete";
+				numComplete++;
+			} else if (timing.error != null) {
+				status = "error";
+				numFailed++;
+			} else if (timing.started != null) {
+				status = "loading";
+			}
+			end = Math.max(end, (finished != null) ? finished : (timing.started != null ? now : end));
+
+			items.push({
+				id: item.id,
+				src: item.src,
+				type: item.type,
+				status: status,
+				attempts: (timing.started != null && stat != null) ? stat.attempts : 0,
+				bytes: (stat != null) ? stat.bytesLoaded : 0,
+				fromCache: (loader.isFromCache != null && loader.isFromCache()),
+				queued: time(timing.queued),
+				started: time(timing.started),
+				firstByte: time(timing.firstByte),
+				loaded: time(timing.loaded),
+				ready: time(timing.ready),
+				complete: time(timing.complete),
+				error: time(timing.error),
+				wait: diff(timing.queued, timing.started),
+				latency: diff(timing.started, timing.firstByte),
+				download: diff(timing.firstByte, timing.loaded),
+				decode: diff(timing.loaded, timing.ready),
+				duration: diff(timing.started, finished)
+			});
+
+			// An item is loading from when it starts until its content is loaded, or it fails.
+			if (timing.started != null) {
+				var loadEnd = (timing.loaded != null) ? timing.loaded : (timing.error != null ? timing.error : now);
+				changes.push({time:time(timing.started), change:1});
+				changes.push({time:time(loadEnd), change:-1});
+			}
+		}
+
+		var slowest = [];
+		for (i=0; i<items.length; i++) {
+			if (items[i].duration != null) { slowest.push(items[i]); }
+		}
+		slowest.sort(function(a, b) { return b.duration - a.duration; });
+		slowest = slowest.slice(0, numSlowest);
+		for (i=0; i<slowest.length; i++) {
+			slowest[i] = {id:slowest[i].id, src:slowest[i].src, duration:slowest[i].duration};
+		}
+
+		return {
+			startTime: start,
+			duration: end - start,
+			numItems: items.length,
+			numComplete: numComplete,
+			numFailed: numFailed,
+			items: items,
+			slowest: slowest,
+			concurrency: this._getConcurrency(changes)
+		};
+	};
+
+	/**
+	 * Summarize the number of items that were loading at once. Please see
+	 * {{#crossLink "LoadQueue/getTimeline"}}{{/crossLink}}.
+	 * @method _getConcurrency
+	 * @param {Array} changes An array of objects containing a <code>time</code>, and a <code>change</code> of 1
+	 * when an item started loading, or -1 when it stopped.
+	 * @return {Object} An object containing the <code>max</code>, <code>average</code>, and <code>samples</code>.
+	 * @private
+	 */
+	p._getConcurrency = function(changes) {
+		// Items that stop are counted before items that start at the same time.
+		changes.sort(function(a, b) { return (a.time - b.time) || (a.change - b.change); });
+
+		var samples = [];
+		var count = 0, max = 0, area = 0;
+		for (var i=0, l=changes.length; i<l; i++) {
+			var change = changes[i];
+			if (i > 0) { area += count * (change.time - changes[i-1].time); }
+			count += change.change;
+			max = Math.max(max, count);
+
+			var last = samples[samples.length-1];
+			if (last != null && last.time == change.time) {
+				last.count = count;
+			} else {
+				samples.push({time:change.time, count:count});
+			}
+		}
+
+		var duration = (l > 0) ? changes[l-1].time - changes[0].time : 0;
+		return {
+			max: max,
+			average: (duration > 0) ? area / duration : max,
+			samples: samples
+		};
+	};
+
+	/**
+	 * Reset the download statistics. Please see {{#crossLink "LoadQueue/getStats"}}{{/crossLink}}.
+	 * @method _resetStats
+	 * @private
+	 */
+	p._resetStats = function() {
+		this._itemStats = {};
+		this._loadStartTime = this._loadEndTime = null;
+		this._bytesReceived = 0;
+		this._speed = null;
+		this._speedSample = null;
+		this._progressBytes = null;
+	};
+
+	/**
+	 * Record the time an item completed or failed.
+	 * @method _endItemStats
+	 * @param {Object} item The load item.
+	 * @private
+	 */
+	p._endItemStats = function(item) {
+		var stat = this._itemStats[item.id];
+		if (stat != null && stat.endTime == null) { stat.endTime = new Date().getTime(); }
+	};
+
+	/**
+	 * Measure the download speed since the last measurement, and add it to the smoothed speed. Measurements are
+	 * only made once <code>LoadQueue.SPEED_SAMPLE_TIME</code> has elapsed, so that bursts of progress events do not
+	 * skew the speed.
+	 * @method _updateSpeed
+	 * @private
+	 */
+	p._updateSpeed = function() {
+		var sample = this._speedSample;
+		if (sample == null) { return; }
+
+		var now = new Date().getTime();
+		var time = now - sample.time;
+		if (time < s.SPEED_SAMPLE_TIME) { return; }
+
+		var speed = (this._bytesReceived - sample.bytes) / time * 1000;
+		this._speed = (this._speed == null) ? speed : this._speed + (speed - this._speed) * s.SPEED_SMOOTHING;
+		this._speedSample = {time:now, bytes:this._bytesReceived};
+	};
+
+	/**
+	 * Estimate the time remaining. If the size of the items is known, the remaining bytes are divided by the smoothed
+	 * speed. Otherwise, the estimate is based on the overall progress and the elapsed time.
+	 * @method _getRemainingTime
+	 * @param {Number} elapsed The time in milliseconds since the queue started loading.
+	 * @return {Number} The estimated time remaining in milliseconds, or null if it can not be estimated.
+	 * @private
+	 */
+	p._getRemainingTime = function(elapsed) {
+		if (this._loadEndTime != null || this.progress >= 1) { return 0; }
+		if (this._progressBytes != null && this._speed > 0) {
+			return Math.round((this._progressBytes.total - this._progressBytes.loaded) / this._speed * 1000);
+		}
+		if (this.progress > 0 && elapsed > 0) {
+			return Math.round(elapsed * (1 - this.progress) / this.progress);
+		}
+		return null;
+	};
+
+	/**
+	 * Get the size of an item in bytes, which is either specified using the <code>size</code> property of the item,
+	 * or was determined while it loaded.
+	 * @method _getItemSize
+	 * @param {Object} item The load item.
+	 * @return {Number} The size of the item, or null if it is not known.
+	 * @private
+	 */
+	p._getItemSize = function(item) {
+		if (item.size > 0) { return item.size; }
+		var size = this._itemSizes[item.id];
+		return (size > 0) ? size : null;
+	};
+
+	/**
+	 * Send a HEAD request to determine the size of an item from the Content-Length header. Please see
+	 * <code>useHeadRequests</code>. Failed requests are ignored.
+	 * @method _requestItemSize
+	 * @param {Object} item The load item.
+	 * @private
+	 */
+	p._requestItemSize = function(item) {
+		var request;
+		try {
+			request = new XMLHttpRequest();
+			request.open("HEAD", this._getLoadURL(item), true);
+		} catch (error) {
+			return;
+		}
+
+		var _this = this;
+		request.onreadystatechange = function() {
+			if (request.readyState != 4) { return; }
+			request.onreadystatechange = null;
+
+			var size = 0;
+			try {
+				size = parseInt(request.getResponseHeader("Content-Length"));
+			} catch (error) {}
+
+			// Ignore the size if the item was removed, or the size was already determined by its load.
+			if (!(size > 0) || _this._loadItemsById[item.id] != item || _this._getItemSize(item) != null) { return; }
+			_this._itemSizes[item.id] = size;
+			_this._updateProgress();
+		};
+
+		try {
+			request.send();
+		} catch (error) {}
+	};
 
 	/**
 	 * Clean out item results, to free them from memory. Mainly, the loaded item and results are cleared from internal
-	 * hashes.
+	 * hashes. Object URLs that were created for images are released, so images that were loaded using XHR can not be
+	 * displayed after they are removed.
 	 * @method _disposeItem
 	 * @param {Object} item The item that was passed in for preloading.
 	 * @private
 	 */
 	p._disposeItem = function(item) {
+		var objectURL = this._objectURLs[item.id];
+		if (objectURL != null) {
+			URL.revokeObjectURL(objectURL);
+			delete this._objectURLs[item.id];
+		}
+		var bitmap = this._bitmaps[item.id];
+		if (bitmap != null) {
+			bitmap.close && bitmap.close();
+			delete this._bitmaps[item.id];
+		}
+		var index = this._waitingItems.indexOf(item);
+		if (index > -1) { this._waitingItems.splice(index, 1); }
+		for (var i=this._pausedLoaders.length-1; i>=0; i--) {
+			if (this._pausedLoaders[i].getItem() == item) { this._pausedLoaders.splice(i, 1); }
+		}
+		delete this._canceledLoaders[item.id];
+		delete this._manifestItems[item.id];
+		delete this._itemSizes[item.id];
+		delete this._itemProgress[item.id];
+		delete this._itemStats[item.id];
+		delete item.timing;
+		delete this._loadErrors[item.id];
 		delete this._loadedResults[item.id];
 		delete this._loadedRawResults[item.id];
 		delete this._loadItemsById[item.id];
@@ -1290,6 +3956,7 @@ TODO: WINDOWS ISSUES
 				// Note: The type property doesn't seem necessary.
 				return tag;
 			case createjs.LoadQueue.JAVASCRIPT:
+			case createjs.LoadQueue.JSONP:
 				tag = document.createElement("script");
 				tag.type = "text/javascript";
 				return tag;
@@ -1329,11 +3996,17 @@ TODO: WINDOWS ISSUES
 			case "gif":
 			case "png":
 			case "webp":
+			case "avif":
 			case "bmp":
 				return createjs.LoadQueue.IMAGE;
 			case "ogg":
+			case "oga":
+			case "opus":
 			case "mp3":
+			case "m4a":
+			case "aac":
 			case "wav":
+			case "webm":
 				return createjs.LoadQueue.SOUND;
 			case "json":
 				return createjs.LoadQueue.JSON;
@@ -1391,6 +4064,7 @@ TODO: WINDOWS ISSUES
 			result: this._loadedResults[item.id],
 			rawResult: this._loadedRawResults[item.id]
 		};
+		if (item.sources != null) { event.source = item.source; }
 
         // This calls a handler specified on the actual load item. Currently, the SoundJS plugin uses this.
         if (item.completeHandler) {
@@ -1398,7 +4072,192 @@ TODO: WINDOWS ISSUES
         }
 
         this.onFileLoad && this.onFileLoad(event);
-		this.dispatchEvent(event)
+		this.dispatchEvent(event);
+
+		this._resolveDeferreds(item.id, event.result);
+		this._resolveDeferreds(item.src, event.result);
+	};
+
+	/**
+	 * Look up the Promise implementation to use. Please see <code>LoadQueue.Promise</code>.
+	 * @method _getPromiseClass
+	 * @return {Function} The Promise constructor, or null if Promises are not supported.
+	 * @private
+	 */
+	p._getPromiseClass = function() {
+		return s.Promise || window.Promise || null;
+	};
+
+	/**
+	 * Create a deferred object, which contains a Promise, and the functions to resolve or reject it.
+	 * @method _createDeferred
+	 * @return {Object} An object containing <code>promise</code>, <code>resolve</code>, and <code>reject</code>
+	 * properties, or null if Promises are not supported.
+	 * @private
+	 */
+	p._createDeferred = function() {
+		var Promise = this._getPromiseClass();
+		if (Promise == null) { return null; }
+		var deferred = {};
+		deferred.promise = new Promise(function(resolve, reject) {
+			deferred.resolve = resolve;
+			deferred.reject = reject;
+		});
+		return deferred;
+	};
+
+	/**
+	 * Get a Promise for an item that was added to the queue. Promises for manifest files resolve once all the items
+	 * in the manifest have loaded.
+	 * @method _getItemPromise
+	 * @param {Object} item The load item. If this is null (for example, if a plugin handles the load), the Promise
+	 * resolves with null.
+	 * @return {Promise} A Promise that is settled when the item loads or fails.
+	 * @private
+	 */
+	p._getItemPromise = function(item) {
+		if (item == null) {
+			var deferred = this._createDeferred();
+			if (deferred == null) { return null; }
+			deferred.resolve(null);
+			return deferred.promise;
+		}
+
+		var promise = this.whenLoaded(item.id);
+		if (promise != null && item.type == createjs.LoadQueue.MANIFEST) {
+			var _this = this;
+			promise = promise.then(function() {
+				return _this._getManifestPromise(_this._manifestItems[item.id]);
+			});
+		}
+		return promise;
+	};
+
+	/**
+	 * Get a Promise that resolves with the results of a list of items.
+	 * @method _getManifestPromise
+	 * @param {Array} items The load items.
+	 * @return {Promise} A Promise that resolves with an array of results when all the items have loaded, or rejects
+	 * when one of them fails.
+	 * @private
+	 */
+	p._getManifestPromise = function(items) {
+		var Promise = this._getPromiseClass();
+		if (Promise == null) { return null; }
+		var promises = [];
+		for (var i=0, l=items.length; i<l; i++) {
+			promises.push(this._getItemPromise(items[i]));
+		}
+		return Promise.all(promises);
+	};
+
+	/**
+	 * Get a Promise that is already rejected. This is used when the arguments to a load method are invalid.
+	 * @method _getRejectedPromise
+	 * @param {Object} error The error object to reject with.
+	 * @return {Promise} The rejected Promise, or undefined if <code>usePromises</code> is false.
+	 * @private
+	 */
+	p._getRejectedPromise = function(error) {
+		if (!this.usePromises) { return undefined; }
+		var deferred = this._createDeferred();
+		if (deferred == null) { return null; }
+		deferred.reject(error);
+		return deferred.promise;
+	};
+
+	/**
+	 * Store a deferred object until the item with the matching id or src loads.
+	 * @method _addDeferred
+	 * @param {String} value The id or src of the item.
+	 * @param {Object} deferred The deferred object.
+	 * @private
+	 */
+	p._addDeferred = function(value, deferred) {
+		var list = this._deferreds[value];
+		if (list == null) { list = this._deferreds[value] = []; }
+		list.push(deferred);
+	};
+
+	/**
+	 * Resolve any deferred objects that are waiting for an item.
+	 * @method _resolveDeferreds
+	 * @param {String} value The id or src of the item.
+	 * @param {Object} result The loaded result.
+	 * @private
+	 */
+	p._resolveDeferreds = function(value, result) {
+		var list = this._deferreds[value];
+		if (list == null) { return; }
+		delete this._deferreds[value];
+		for (var i=0, l=list.length; i<l; i++) {
+			list[i].resolve(result);
+		}
+	};
+
+	/**
+	 * Reject any deferred objects that are waiting for an item.
+	 * @method _rejectDeferreds
+	 * @param {String} value The id or src of the item.
+	 * @param {Object} error The error event or object.
+	 * @private
+	 */
+	p._rejectDeferreds = function(value, error) {
+		var list = this._deferreds[value];
+		if (list == null) { return; }
+		delete this._deferreds[value];
+		for (var i=0, l=list.length; i<l; i++) {
+			list[i].reject(error);
+		}
+	};
+
+	/**
+	 * Dispatch a retry event. Please see the <code>LoadQueue.retry</code> event for details on the event payload.
+	 * @method _sendRetry
+	 * @param {Object} item The item that will be retried.
+	 * @param {Number} attempt The retry attempt, starting at 1.
+	 * @param {Number} attempts The maximum number of retry attempts.
+	 * @param {Number} delay The delay in milliseconds before the item is requested again.
+	 * @param {Object} error The error event from the failed attempt.
+	 * @protected
+	 */
+	p._sendRetry = function(item, attempt, attempts, delay, error) {
+		if (this._isCanceled()) { return; }
+		var event = {
+			target: this,
+			type: "retry",
+			item: item,
+			attempt: attempt,
+			attempts: attempts,
+			delay: delay,
+			reason: error.reason,
+			status: error.status
+		};
+		this.dispatchEvent(event);
+	};
+
+	/**
+	 * Dispatch a filepause event. Please see the <code>LoadQueue.filepause</code> event for details on the event
+	 * payload.
+	 * @method _sendFilePause
+	 * @param {Object} item The item that was paused.
+	 * @protected
+	 */
+	p._sendFilePause = function(item) {
+		if (this._isCanceled()) { return; }
+		this.dispatchEvent({target:this, type:"filepause", item:item});
+	};
+
+	/**
+	 * Dispatch a filecancel event. Please see the <code>LoadQueue.filecancel</code> event for details on the event
+	 * payload.
+	 * @method _sendFileCancel
+	 * @param {Object} item The item that was canceled.
+	 * @protected
+	 */
+	p._sendFileCancel = function(item) {
+		if (this._isCanceled()) { return; }
+		this.dispatchEvent({target:this, type:"filecancel", item:item});
 	};
 
 	p.toString = function() {
@@ -51,13 +51,17 @@ this.createjs = this.createjs||{};
 	 * @extends AbstractLoader
 	 * @param {Object} item The item to load. Please see {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}} for
 	 * information on load items.
+	 * @param {String} [src] The URL to load. If this is not specified, the <code>src</code> of the item is used.
 	 */
-	var TagLoader = function (item) {
-		this.init(item);
+	var TagLoader = function (item, src) {
+		this.init(item, src);
 	};
 
 	var p = TagLoader.prototype = new createjs.AbstractLoader();
 
+	// Overrides property in AbstractLoader
+	p._loaderType = "TagLoader";
+
 // Protected
 	/**
 	 * The timeout that is fired if nothing is loaded after a certain delay. See the <code>LoadQueue.TIMEOUT_TIME</code>
@@ -96,9 +100,44 @@ this.createjs = this.createjs||{};
 	 */
 	p._tag = null;
 
+	/**
+	 * The name of the global function that a JSONP script calls with its data.
+	 * @property _callback
+	 * @type {String}
+	 * @private
+	 */
+	p._callback = null;
+
+	/**
+	 * The global function that had the same name as the JSONP callback before it was defined, if there was one. It is
+	 * restored once the item has loaded or failed.
+	 * @property _previousCallback
+	 * @type {Function}
+	 * @private
+	 */
+	p._previousCallback = null;
+
+	/**
+	 * The data that was passed to the JSONP callback function.
+	 * @property _jsonpResult
+	 * @type {Object}
+	 * @private
+	 */
+	p._jsonpResult = null;
+
+	/**
+	 * Determines if the JSONP callback function has been called.
+	 * @property _jsonpLoaded
+	 * @type {Boolean}
+	 * @default false
+	 * @private
+	 */
+	p._jsonpLoaded = false;
+
 	// Overrides abstract method in AbstractLoader
-	p.init = function (item) {
+	p.init = function (item, src) {
 		this._item = item;
+		this._src = (src != null) ? src : item.src;
 		this._tag = item.tag;
 		this._isAudio = (window.HTMLAudioElement && item.tag instanceof HTMLAudioElement);
 		this._tagCompleteProxy = createjs.proxy(this._handleLoad, this);
@@ -106,11 +145,12 @@ this.createjs = this.createjs||{};
 
 	/**
 	 * Get the loaded content. This is usually an HTML tag or other tag-style object that has been fully loaded. If the
-	 * loader is not complete, this will be null.
+	 * loader is not complete, this will be null. JSONP items return the data that was passed to the callback function.
 	 * @method getResult
-	 * @return {HTMLImageElement | HTMLAudioElement} The loaded and parsed content.
+	 * @return {HTMLImageElement | HTMLAudioElement | Object} The loaded and parsed content.
 	 */
 	p.getResult = function() {
+		if (this._item.type == createjs.LoadQueue.JSONP) { return this._jsonpResult; }
 		return this._tag;
 	};
 
@@ -126,6 +166,18 @@ this.createjs = this.createjs||{};
 		var item = this._item;
 		var tag = this._tag;
 
+		// Tags can only make simple GET requests.
+		if (createjs.LoadQueue.hasRequestOptions(item)) {
+			this._sendError({reason:"PRELOAD_TAG_REQUEST_UNSUPPORTED"});
+			return;
+		}
+
+		// Sounds that list alternative sources fail if the browser can not play any of them.
+		if (item.type == createjs.LoadQueue.SOUND && item.sources != null && item.source == null) {
+			this._sendError({reason:"PRELOAD_SOUND_UNSUPPORTED", formats:this._getSourceFormats(item)});
+			return;
+		}
+
 		// In case we don't get any events.
 		clearTimeout(this._loadTimeout); // Clear out any existing timeout
 		this._loadTimeout = setTimeout(createjs.proxy(this._handleTimeout, this), createjs.LoadQueue.TIMEOUT_TIME);
@@ -149,21 +201,28 @@ this.createjs = this.createjs||{};
 			tag.onreadystatechange = createjs.proxy(this._handleReadyStateChange,  this);
 		}
 
+		// JSONP scripts call a global function, which must be defined before the script loads.
+		var src = this._src;
+		if (item.type == createjs.LoadQueue.JSONP) {
+			src = this._addCallback(item, src);
+		}
+
 		// Set the src after the events are all added.
 		switch(item.type) {
 			case createjs.LoadQueue.CSS:
-				tag.href = item.src;
+				tag.href = src;
 				break;
 			case createjs.LoadQueue.SVG:
-				tag.data = item.src;
+				tag.data = src;
 				break;
 			default:
-				tag.src = item.src;
+				tag.src = src;
 		}
 
 		// If its SVG, it needs to be on the DOM to load (we remove it before sending complete).
 		// It is important that this happens AFTER setting the src/data.
-		if (item.type == createjs.LoadQueue.SVG || item.type == createjs.LoadQueue.JAVASCRIPT || item.type == createjs.LoadQueue.CSS) {
+		if (item.type == createjs.LoadQueue.SVG || item.type == createjs.LoadQueue.JAVASCRIPT
+				|| item.type == createjs.LoadQueue.JSONP || item.type == createjs.LoadQueue.CSS) {
 			(document.body || document.getElementsByTagName("body")[0]).appendChild(tag);
 			//TODO: Move SVG off-screen.
 		}
@@ -174,6 +233,48 @@ this.createjs = this.createjs||{};
 		}
 	};
 
+	/**
+	 * Define the global callback function for a JSONP item. If the item does not specify a <code>callback</code>,
+	 * a unique name is generated and added to the query string of the URL. The name is stored on the item, so that
+	 * the same name is used if the item is loaded again. A global function that already has the name (for example, one
+	 * that is defined by the page) is replaced until the item has loaded, and then restored.
+	 * @method _addCallback
+	 * @param {Object} item The JSONP load item.
+	 * @param {String} src The URL to load.
+	 * @return {String} The URL to load, including the callback parameter if one was generated.
+	 * @private
+	 */
+	p._addCallback = function(item, src) {
+		if (item.callback == null) {
+			item.callback = "createjs_jsonp_" + (TagLoader._jsonpCount++);
+			item._generatedCallback = true;
+		}
+		if (item._generatedCallback) {
+			src = createjs.LoadQueue._appendQuery(src, "callback", item.callback);
+		}
+
+		this._callback = item.callback;
+		this._previousCallback = window[this._callback] || null;
+		var _this = this;
+		window[this._callback] = function(data) {
+			_this._handleJSONP(data);
+		};
+		return src;
+	};
+
+	/**
+	 * The JSONP script called its callback function with the loaded data.
+	 * @method _handleJSONP
+	 * @param {Object} data The data that was passed to the callback.
+	 * @private
+	 */
+	p._handleJSONP = function(data) {
+		if (this.loaded || this._isCanceled()) { return; }
+		this._jsonpResult = data;
+		this._jsonpLoaded = true;
+		this._handleLoad();
+	};
+
 	/**
 	 * Handle an audio timeout. Newer browsers get a callback from the tags, but older ones may require a setTimeout
 	 * to handle it. The setTimeout is always running until a response is handled by the browser.
@@ -182,7 +283,7 @@ this.createjs = this.createjs||{};
 	 */
 	p._handleTimeout = function() {
 		this._clean();
-		this._sendError({reason:"PRELOAD_TIMEOUT"}); //TODO: Evaluate a reason prop
+		this._sendError({reason:"PRELOAD_TIMEOUT"});
 	};
 
 	/**
@@ -202,7 +303,7 @@ this.createjs = this.createjs||{};
 	 */
 	p._handleError = function() {
 		this._clean();
-		this._sendError(); //TODO: Reason or error?
+		this._sendError({reason:"PRELOAD_NETWORK_ERROR"}); // Tags do not provide any details on the failure.
 	};
 
 	/**
@@ -234,6 +335,13 @@ this.createjs = this.createjs||{};
 		var tag = item.tag;
 
 		if (this.loaded || this.isAudio && tag.readyState !== 4) { return; } //LM: Not sure if we still need the audio check.
+
+		// The JSONP script has run, but did not call the callback.
+		if (item.type == createjs.LoadQueue.JSONP && !this._jsonpLoaded) {
+			this._clean();
+			this._sendError({reason:"PRELOAD_JSONP_CALLBACK"});
+			return;
+		}
 		this.loaded = true;
 
 		// Remove from the DOM
@@ -242,10 +350,32 @@ this.createjs = this.createjs||{};
 			(document.body || document.getElementsByTagName("body")[0]).removeChild(tag);
 		}
 
+		// Tags do not report when the first byte arrives, only when the content is ready to use.
+		createjs.LoadQueue._markTime(item, "loaded");
+		createjs.LoadQueue._markTime(item, "ready");
+
 		this._clean();
 		this._sendComplete();
 	};
 
+	/**
+	 * Get the formats of the alternative sources of an item, for the error of a sound that can not be played.
+	 * @method _getSourceFormats
+	 * @param {Object} item The load item.
+	 * @return {Array} The format of each source, or its extension if no format was specified.
+	 * @private
+	 */
+	p._getSourceFormats = function(item) {
+		var formats = [];
+		for (var i=0, l=item.sources.length; i<l; i++) {
+			var source = item.sources[i];
+			if (typeof source == "string") { source = {src:source}; }
+			var match = this._parseURI(source.src);
+			formats.push(source.format || (match && match[5]) || null);
+		}
+		return formats;
+	};
+
 	/**
 	 * Clean up the loader. This stops any timers and removes references to prevent errant callbacks and clean up memory.
 	 * @method _clean
@@ -262,6 +392,24 @@ this.createjs = this.createjs||{};
 		tag.onprogress = null;
 		tag.onerror = null;
 
+		// Remove the JSONP callback, or restore the function it replaced. If the script has not called it yet (for
+		// example after a timeout), a late response may still call it, so it is replaced with an empty function
+		// instead. Note that IE8 can not delete properties of the window.
+		if (this._callback != null) {
+			if (this._previousCallback != null) {
+				window[this._callback] = this._previousCallback;
+			} else if (!this._jsonpLoaded) {
+				window[this._callback] = function() {};
+			} else {
+				try {
+					delete window[this._callback];
+				} catch (e) {
+					window[this._callback] = undefined;
+				}
+			}
+			this._callback = this._previousCallback = null;
+		}
+
 		//TODO: Test this
 		if (tag.parentNode) {
 			tag.parentNode.removeChild(tag);
@@ -272,6 +420,15 @@ this.createjs = this.createjs||{};
 		return "[PreloadJS TagLoader]";
 	}
 
+	/**
+	 * The number of JSONP callback names that have been generated, which is used to make each name unique.
+	 * @property _jsonpCount
+	 * @type {Number}
+	 * @static
+	 * @private
+	 */
+	TagLoader._jsonpCount = 0;
+
 	createjs.TagLoader = TagLoader;
 
 }());
\ No newline at end of file
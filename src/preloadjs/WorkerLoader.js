@@ -0,0 +1,430 @@
+/*
+* WorkerLoader for PreloadJS
+* Visit http://createjs.com/ for documentation, updates and examples.
+*
+*
+* Copyright (c) 2012 gskinner.com, inc.
+*
+* Permission is hereby granted, free of charge, to any person
+* obtaining a copy of this software and associated documentation
+* files (the "Software"), to deal in the Software without
+* restriction, including without limitation the rights to use,
+* copy, modify, merge, publish, distribute, sublicense, and/or sell
+* copies of the Software, and to permit persons to whom the
+* Software is furnished to do so, subject to the following
+* conditions:
+*
+* The above copyright notice and this permission notice shall be
+* included in all copies or substantial portions of the Software.
+*
+* THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+* EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES
+* OF MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+* NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT
+* HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY,
+* WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+* FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR
+* OTHER DEALINGS IN THE SOFTWARE.
+*/
+
+
+/**
+ * @module PreloadJS
+ */
+
+// namespace:
+this.createjs = this.createjs||{};
+
+(function() {
+
+	/**
+	 * A preloader that loads JSON, XML, TEXT, and BINARY items in a Web Worker, so that large files do not stall the
+	 * main thread. The request is made by the worker, and JSON is parsed there. Binary content is transferred back
+	 * to the main thread without being copied. XML can not be parsed in a worker (there is no DOMParser), so it is
+	 * loaded in the worker, and parsed when it is received. The results and events are the same as those of the
+	 * {{#crossLink "XHRLoader"}}{{/crossLink}}. Please see the <code>useWorker</code> property of the
+	 * {{#crossLink "LoadQueue"}}{{/crossLink}}.
+	 *
+	 * All WorkerLoaders share a single worker, which is created from an inline script the first time it is used.
+	 * Content that is loaded from the persistent cache (see {{#crossLink "LoadQueue/setCache"}}{{/crossLink}}) is
+	 * parsed on the main thread.
+	 * @class WorkerLoader
+	 * @constructor
+	 * @param {Object} file The object that defines the file to load. Please see the {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}
+	 * for an overview of supported file properties.
+	 * @param {String} [src] The URL to request. If this is not specified, the <code>src</code> of the file is used.
+	 * @param {AssetCache} [cache] A persistent cache that the content is loaded from if possible, and stored in once
+	 * it is loaded. Please see {{#crossLink "LoadQueue/setCache"}}{{/crossLink}}.
+	 * @extends AbstractLoader
+	 * @since 0.3.0
+	 */
+	var WorkerLoader = function (file, src, cache) {
+		this.init(file, src, cache);
+	};
+
+	var p = WorkerLoader.prototype = new createjs.AbstractLoader();
+	var s = WorkerLoader;
+
+	/**
+	 * The worker that is shared by all WorkerLoaders. It is created by {{#crossLink "WorkerLoader/_getWorker"}}{{/crossLink}}.
+	 * @property _worker
+	 * @type {Worker}
+	 * @static
+	 * @private
+	 */
+	s._worker = null;
+
+	/**
+	 * The loaders that are waiting for the worker, indexed by the id of their request.
+	 * @property _loaders
+	 * @type {Object}
+	 * @static
+	 * @private
+	 */
+	s._loaders = {};
+
+	/**
+	 * The id of the next request that is sent to the worker.
+	 * @property _nextId
+	 * @type {Number}
+	 * @static
+	 * @private
+	 */
+	s._nextId = 0;
+
+	/**
+	 * Determine if the browser can load using a worker. This creates the shared worker, since some browsers (or
+	 * Content Security Policies) do not allow workers to be created from inline scripts.
+	 * @method isSupported
+	 * @return {Boolean} If workers are supported.
+	 * @static
+	 */
+	s.isSupported = function() {
+		return s._getWorker() != null;
+	};
+
+	/**
+	 * Get the shared worker, and create it the first time it is needed.
+	 * @method _getWorker
+	 * @return {Worker} The worker, or null if it could not be created.
+	 * @static
+	 * @private
+	 */
+	s._getWorker = function() {
+		if (s._worker !== null) { return s._worker || null; }
+		s._worker = false; // Only try once.
+		if (!window.Worker || !window.Blob || !window.URL || !URL.createObjectURL) { return null; }
+
+		try {
+			var blob = new Blob(["(" + s._workerMain.toString() + "());"], {type:"text/javascript"});
+			var worker = new Worker(URL.createObjectURL(blob));
+		} catch (error) {
+			return null;
+		}
+		worker.onmessage = s._handleMessage;
+		worker.onerror = s._handleError;
+		s._worker = worker;
+		return worker;
+	};
+
+	/**
+	 * The worker has sent a message. Pass it to the loader that made the request.
+	 * @method _handleMessage
+	 * @param {Object} event The message event.
+	 * @static
+	 * @private
+	 */
+	s._handleMessage = function(event) {
+		var data = event.data;
+		var loader = s._loaders[data.id];
+		if (loader == null) { return; } // The load was canceled.
+		if (data.type != "progress") { delete s._loaders[data.id]; }
+		loader._handleWorkerMessage(data);
+	};
+
+	/**
+	 * The worker script encountered an error that it did not report as a message. The requests that are waiting can
+	 * not complete, so they fail.
+	 * @method _handleError
+	 * @param {ErrorEvent} event The error event.
+	 * @static
+	 * @private
+	 */
+	s._handleError = function(event) {
+		event && event.preventDefault && event.preventDefault();
+		var loaders = s._loaders;
+		s._loaders = {};
+		for (var n in loaders) {
+			loaders[n]._handleWorkerMessage({id:n, type:"error", reason:"PRELOAD_ERROR", status:0, statusText:"",
+					error:(event != null) ? event.message : null});
+		}
+	};
+
+	/**
+	 * The script that runs in the worker. It is converted to a string, so it can not use anything outside of this
+	 * function. Requests are made using XHR, and JSON is parsed before it is sent back. Progress, and the result
+	 * (or an error) are sent back as messages that contain the id of the request.
+	 * @method _workerMain
+	 * @static
+	 * @private
+	 */
+	s._workerMain = function() {
+		var requests = {};
+
+		self.onmessage = function(event) {
+			var data = event.data;
+			if (data.cancel) {
+				if (requests[data.id] != null) { requests[data.id].abort(); }
+				delete requests[data.id];
+				return;
+			}
+			load(data);
+		};
+
+		function load(data) {
+			var xhr = new XMLHttpRequest();
+			requests[data.id] = xhr;
+
+			xhr.onprogress = function(event) {
+				self.postMessage({id:data.id, type:"progress", loaded:event.loaded, total:event.total});
+			};
+			xhr.onerror = function() {
+				delete requests[data.id];
+				self.postMessage({id:data.id, type:"error", reason:"PRELOAD_NETWORK_ERROR", status:0, statusText:""});
+			};
+			xhr.onload = function() {
+				delete requests[data.id];
+				var message = {
+					id: data.id,
+					type: "complete",
+					status: xhr.status,
+					statusText: xhr.statusText,
+					contentType: xhr.getResponseHeader("Content-Type"),
+					response: xhr.response
+				};
+				var isSuccess = (xhr.status >= 200 && xhr.status < 300) || xhr.status == 304;
+				if (data.json && isSuccess) {
+					try {
+						message.result = JSON.parse(xhr.response);
+					} catch (error) {
+						message.type = "error";
+						message.reason = "PRELOAD_JSON_INVALID";
+						message.error = error.message;
+					}
+				}
+				self.postMessage(message, (data.binary && xhr.response) ? [xhr.response] : []);
+			};
+
+			// An invalid method, URL, or header throws, instead of failing the request.
+			try {
+				xhr.open(data.method, data.url, true);
+				for (var n in data.headers) {
+					xhr.setRequestHeader(n, data.headers[n]);
+				}
+				if (data.withCredentials) { xhr.withCredentials = true; }
+				xhr.responseType = data.binary ? "arraybuffer" : "text";
+				xhr.send(data.body);
+			} catch (error) {
+				delete requests[data.id];
+				self.postMessage({id:data.id, type:"error", reason:"PRELOAD_ERROR", status:0, statusText:"",
+						error:error.message});
+			}
+		}
+	};
+
+	// Overrides property in AbstractLoader
+	p._loaderType = "WorkerLoader";
+
+	//Protected
+	/**
+	 * The id of the request that was sent to the worker.
+	 * @property _requestId
+	 * @type {Number}
+	 * @private
+	 */
+	p._requestId = null;
+
+	/**
+	 * The timeout that fails the load if the worker does not respond before <code>LoadQueue.TIMEOUT_TIME</code>.
+	 * @property _loadTimeout
+	 * @type {Number}
+	 * @private
+	 */
+	p._loadTimeout = null;
+
+	/**
+	 * The status and headers of the response that were sent by the worker.
+	 * @property _workerResponse
+	 * @type {Object}
+	 * @private
+	 */
+	p._workerResponse = null;
+
+	// Overrides abstract method in AbstractLoader
+	p.init = function (item, src, cache) {
+		this._item = item;
+		this._src = (src != null) ? src : item.src;
+		this._cache = cache || null;
+	};
+
+	// Overrides abstract method in AbstractLoader
+	p.cancel = function() {
+		this.canceled = true;
+		this._cancelRequest();
+	};
+
+	/**
+	 * Stop waiting for the worker, and abort the request in the worker.
+	 * @method _cancelRequest
+	 * @private
+	 */
+	p._cancelRequest = function() {
+		clearTimeout(this._loadTimeout);
+		if (this._requestId == null || s._loaders[this._requestId] == null) { return; }
+		delete s._loaders[this._requestId];
+		s._getWorker().postMessage({id:this._requestId, cancel:true});
+	};
+
+	// Overrides abstract method in AbstractLoader
+	p.load = function() {
+		if (this._cache != null) {
+			var _this = this;
+			this._cache.get(this._src, function(entry) {
+				_this._handleCacheResult(entry);
+			});
+			return;
+		}
+		this._sendRequest();
+	};
+
+	/**
+	 * Send the request to the worker. The URL is resolved against the page, since the worker can not resolve
+	 * relative URLs itself.
+	 * @method _sendRequest
+	 * @private
+	 */
+	p._sendRequest = function() {
+		var item = this._item;
+		var method = (item.method || "GET").toUpperCase();
+		var src = this._src;
+		var hasBody = (method != "GET" && method != "HEAD");
+		if (!hasBody && item.values != null) {
+			src = this._appendValues(src, item.values);
+		}
+		var target = document.createElement("a");
+		target.href = src;
+
+		var headers = {};
+		for (var n in item.headers) { headers[n] = item.headers[n]; }
+		var body = hasBody ? this._getRequestBody(item, headers) : null;
+
+		this._requestId = s._nextId++;
+		try {
+			s._getWorker().postMessage({
+				id: this._requestId,
+				url: target.href,
+				method: method,
+				headers: headers,
+				body: body,
+				withCredentials: !!item.withCredentials,
+				binary: createjs.LoadQueue.isBinary(item.type),
+				json: item.type == createjs.LoadQueue.JSON || item.type == createjs.LoadQueue.MANIFEST
+			});
+		} catch (error) { // Bodies that can not be cloned, such as FormData, throw a DataCloneError.
+			this._sendError({reason:"PRELOAD_ERROR", error:error.message});
+			return;
+		}
+		s._loaders[this._requestId] = this;
+		this._loadTimeout = setTimeout(createjs.proxy(this._handleTimeout, this), createjs.LoadQueue.TIMEOUT_TIME);
+		this._sendLoadStart();
+	};
+
+	/**
+	 * The worker did not respond before <code>LoadQueue.TIMEOUT_TIME</code>.
+	 * @method _handleTimeout
+	 * @private
+	 */
+	p._handleTimeout = function() {
+		if (this.loaded) { return; }
+		this.loaded = true;
+		this._cancelRequest();
+		this._sendError({reason:"PRELOAD_TIMEOUT", status:0, statusText:""});
+	};
+
+	/**
+	 * The worker has sent progress, the result, or an error for the request.
+	 * @method _handleWorkerMessage
+	 * @param {Object} data The message.
+	 * @private
+	 */
+	p._handleWorkerMessage = function(data) {
+		if (this._isCanceled() || this.loaded) { return; }
+		clearTimeout(this._loadTimeout);
+		if (data.type == "progress") {
+			createjs.LoadQueue._markTime(this._item, "firstByte");
+			if (data.total > 0) { this._sendProgress({loaded:data.loaded, total:data.total}); }
+			return;
+		}
+
+		this.loaded = true;
+		this._workerResponse = data;
+		createjs.LoadQueue._markTime(this._item, "firstByte");
+		createjs.LoadQueue._markTime(this._item, "loaded");
+
+		if (data.type == "error") {
+			var event = {reason:data.reason, status:data.status, statusText:data.statusText || ""};
+			if (data.error != null) {
+				event.error = data.error;
+				event.rawResponse = data.response;
+			}
+			this._sendError(event);
+			return;
+		}
+		if (!this._checkError()) {
+			this._sendError({reason:"PRELOAD_HTTP_STATUS", status:data.status, statusText:data.statusText || "",
+					rawResponse:data.response});
+			return;
+		}
+
+		this._response = data.response;
+		if (this._cache != null) { this._uncachedResponse = data.response; }
+
+		// JSON was parsed by the worker. Other types are processed in the same way as XHRLoader.
+		if (data.result !== undefined) {
+			this._rawResponse = data.response;
+			this._response = data.result;
+		} else if (!this._generateTag()) {
+			return;
+		}
+		this._storeResponse();
+		this._sendComplete();
+	};
+
+	/**
+	 * Get the HTTP status of the response that was sent by the worker.
+	 * @method _getStatus
+	 * @return {Number} The HTTP status, or 0 if there is no response.
+	 * @private
+	 */
+	p._getStatus = function() {
+		return (this._workerResponse != null) ? this._workerResponse.status : 0;
+	};
+
+	/**
+	 * Get the Content-Type of the response, or of the cached content if it was loaded from the cache.
+	 * @method _getContentType
+	 * @return {String} The Content-Type, or null if it is not available.
+	 * @private
+	 */
+	p._getContentType = function() {
+		if (this._cachedContentType != null) { return this._cachedContentType; }
+		return (this._workerResponse != null) ? this._workerResponse.contentType : null;
+	};
+
+	p.toString = function() {
+		return "[PreloadJS WorkerLoader]";
+	};
+
+	createjs.WorkerLoader = WorkerLoader;
+
+}());
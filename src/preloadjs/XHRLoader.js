@@ -46,14 +46,24 @@ this.createjs = this.createjs||{};
 	 * @constructor
 	 * @param {Object} file The object that defines the file to load. Please see the {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}
 	 * for an overview of supported file properties.
+	 * @param {String} [src] The URL to request. If this is not specified, the <code>src</code> of the file is used.
+	 * @param {AssetCache} [cache] A persistent cache that the content is loaded from if possible, and stored in once
+	 * it is loaded. Please see {{#crossLink "LoadQueue/setCache"}}{{/crossLink}}.
+	 * @param {Object} [download] The parts of the file that have already been downloaded, which is used to load
+	 * large binary files using range requests. The object is updated as parts are received, so that a new loader
+	 * can resume the download if this one fails or is canceled. Please see the <code>rangeSize</code> property in
+	 * {{#crossLink "LoadQueue/loadFile"}}{{/crossLink}}.
 	 * @extends AbstractLoader
 	 */
-	var XHRLoader = function (file) {
-		this.init(file);
+	var XHRLoader = function (file, src, cache, download) {
+		this.init(file, src, cache, download);
 	};
 
 	var p = XHRLoader.prototype = new createjs.AbstractLoader();
 
+	// Overrides property in AbstractLoader
+	p._loaderType = "XHRLoader";
+
 	//Protected
 	/**
 	 * A reference to the XHR request used to load the content.
@@ -83,70 +93,113 @@ this.createjs = this.createjs||{};
 	p._xhrLevel = 1;
 
 	/**
-	 * The response of a loaded file. This is set because it is expensive to look up constantly. This property will be
-	 * null until the file is loaded.
-	 * @property _response
-	 * @type {mixed}
+	 * The body that is sent with the request. This is determined by the <code>body</code> or <code>values</code>
+	 * of the item. Please see {{#crossLink "AbstractLoader/_getRequestBody"}}{{/crossLink}}.
+	 * @property _body
+	 * @type {String|Object}
 	 * @private
 	 */
-	p._response = null;
+	p._body = null;
 
 	/**
-	 * The response of the loaded file before it is modified. In most cases, content is converted from raw text to
-	 * an HTML tag or a formatted object which is set to the <code>result</code> property, but the developer may still
-	 * want to access the raw content as it was loaded.
-	 * @property _rawResponse
-	 * @type {String|Object}
+	 * The reason the request could not be created, if it failed. This is dispatched in the error event when the
+	 * load is started.
+	 * @property _requestError
+	 * @type {String}
+	 * @private
+	 */
+	p._requestError = null;
+
+	/**
+	 * The parts of the file that have been downloaded using range requests. This contains the received
+	 * <code>chunks</code> (ArrayBuffers), the number of <code>bytesLoaded</code>, the <code>bytesTotal</code> once
+	 * it is known, and the <code>validator</code> (an ETag or Last-Modified date) that is sent in the If-Range
+	 * header, so the parts are only combined if the file has not changed.
+	 * @property _download
+	 * @type {Object}
 	 * @private
 	 */
-	p._rawResponse = null;
+	p._download = null;
+
+	/**
+	 * The number of range requests that this loader has sent.
+	 * @property _numRanges
+	 * @type {Number}
+	 * @default 0
+	 * @private
+	 */
+	p._numRanges = 0;
+
+	/**
+	 * The number of characters of the <code>responseText</code> that have been dispatched in <code>chunk</code>
+	 * events, when a text response is streamed using XHR.
+	 * @property _streamOffset
+	 * @type {Number}
+	 * @default 0
+	 * @private
+	 */
+	p._streamOffset = 0;
+
+// Events
+	/**
+	 * The event that is fired when part of the content has been received, if the <code>stream</code> property of the
+	 * item is set. Chunks are dispatched in order, before the <code>complete</code> event.
+	 * @event chunk
+	 * @param {Object} target The object that dispatched the event.
+	 * @param {String} type The event type.
+	 * @param {String|ArrayBuffer} chunk The content that was received. Text is provided as a String, and binary
+	 * content as an ArrayBuffer.
+	 * @param {Number} offset The position of the chunk in the content, in characters or bytes. If the download
+	 * starts again (for example, because the file changed during a range request), the offset returns to 0.
+	 * @since 0.3.0
+	 */
 
 	// Overrides abstract method in AbstractLoader
-	p.init = function (item) {
+	p.init = function (item, src, cache, download) {
 		this._item = item;
+		this._src = (src != null) ? src : item.src;
+		this._cache = cache || null;
 		if (!this._createXHR(item)) {
 			//TODO: Throw error?
 		}
-	};
 
-	/**
-	 * Look up the loaded result.
-	 * @method getResult
-	 * @param {Boolean} [rawResult=false] Return a raw result instead of a formatted result. This applies to content
-	 * loaded via XHR such as scripts, XML, CSS, and Images. If there is no raw result, the formatted result will be
-	 * returned instead.
-	 * @return {Object} A result object containing the content that was loaded, such as:
-	 * <ul>
-     *      <li>An image tag (&lt;image /&gt;) for images</li>
-     *      <li>A script tag for JavaScript (&lt;script /&gt;). Note that scripts loaded with tags may be added to the
-	 *      HTML head.</li>
-     *      <li>A style tag for CSS (&lt;style /&gt;)</li>
-     *      <li>Raw text for TEXT</li>
-     *      <li>A formatted JavaScript object defined by JSON</li>
-     *      <li>An XML document</li>
-     *      <li>An binary arraybuffer loaded by XHR</li>
-     * </ul>
-	 * Note that if a raw result is requested, but not found, the result will be returned instead.
-	 */
-	p.getResult = function(rawResult) {
-		if (rawResult && this._rawResponse) { return this._rawResponse; }
-		return this._response;
+		// Range requests need XHR level 2 binary responses, and request headers (which XDomainRequest can not send).
+		if (download != null && this._xhrLevel == 2 && this._request.setRequestHeader) {
+			this._download = download;
+		}
 	};
 
 	// Overrides abstract method in AbstractLoader
 	p.cancel = function() {
 		this.canceled = true;
 		this._clean();
-		this._request.abort();
+		this._revokeObjectURL();
+		if (this._request != null) { this._request.abort(); } // Requests that could not be created are null.
 	};
 
 	// Overrides abstract method in AbstractLoader
 	p.load = function() {
 		if (this._request == null) {
-			this._handleError();
+			this._sendError({reason:this._requestError || "PRELOAD_NETWORK_ERROR"});
 			return;
 		}
 
+		if (this._cache != null) {
+			var _this = this;
+			this._cache.get(this._src, function(entry) {
+				_this._handleCacheResult(entry);
+			});
+			return;
+		}
+		this._sendRequest();
+	};
+
+	/**
+	 * Send the request, once the events are added.
+	 * @method _sendRequest
+	 * @private
+	 */
+	p._sendRequest = function() {
 		//Events
 		this._request.onloadstart = createjs.proxy(this._handleLoadStart,  this);
 		this._request.onprogress = createjs.proxy(this._handleProgress,  this);
@@ -155,17 +208,21 @@ this.createjs = this.createjs||{};
 		this._request.ontimeout = createjs.proxy(this._handleTimeout,  this);
 		// Set up a timeout if we don't have XHR2
 		if (this._xhrLevel == 1) {
-			this._loadTimeout = setTimeout(createjs.proxy(this._handleTimeout,  this), createjs.PreloadJS.TIMEOUT_TIME);
+			this._loadTimeout = setTimeout(createjs.proxy(this._handleTimeout,  this), createjs.LoadQueue.TIMEOUT_TIME);
 		}
 
 		// Note: We don't get onload in all browsers (earlier FF and IE). onReadyStateChange handles these.
 		this._request.onload = createjs.proxy(this._handleLoad,  this);
 		this._request.onreadystatechange = this._handleReadyStateChange(this);
 
+		if (this._download != null) {
+			this._setRangeHeaders();
+		}
+
 		try { // Sometimes we get back 404s immediately, particularly when there is a cross origin request.
-			this._request.send();
+			this._request.send(this._body);
 		} catch (error) {
-			this._sendError({source:error});
+			this._sendRequestError("PRELOAD_NETWORK_ERROR", error);
 		}
 	};
 
@@ -176,10 +233,23 @@ this.createjs = this.createjs||{};
 	 * @private
 	 */
 	p._handleProgress = function(event) {
-		if (event.loaded > 0 && event.total == 0) {
+		if (event.loaded > 0) { createjs.LoadQueue._markTime(this._item, "firstByte"); }
+
+		// Range requests report the progress of the part, which is added to the parts that were already received.
+		var loaded = event.loaded, total = event.total;
+		if (this._download != null && this._getStatus() == 206) {
+			var range = this._getContentRange();
+			loaded += this._download.bytesLoaded;
+			total = (range != null && range.total != null) ? range.total : 0;
+		}
+
+		// Error responses (such as a 404 page) are not content, so they are not streamed.
+		if (this._item.stream && this._checkError()) { this._sendStreamedText(); }
+
+		if (loaded > 0 && total == 0) {
 			return; // Sometimes we get no "total", so just ignore the progress event.
 		}
-		this._sendProgress({loaded:event.loaded, total:event.total});
+		this._sendProgress({loaded:loaded, total:total});
 	};
 
 	/**
@@ -190,6 +260,7 @@ this.createjs = this.createjs||{};
 	 */
 	p._handleLoadStart = function(event) {
 		clearTimeout(this._loadTimeout);
+		if (this._numRanges > 1) { return; } // Only the first range request starts the load.
 		this._sendLoadStart();
 	};
 
@@ -201,7 +272,7 @@ this.createjs = this.createjs||{};
 	 */
 	p._handleAbort = function(event) {
 		this._clean();
-		this._sendError();
+		this._sendRequestError("PRELOAD_ABORT");
 	};
 
 	/**
@@ -212,7 +283,7 @@ this.createjs = this.createjs||{};
 	 */
 	p._handleError = function(event) {
 		this._clean();
-		this._sendError();
+		this._sendRequestError("PRELOAD_NETWORK_ERROR");
 	};
 
 	/**
@@ -238,18 +309,171 @@ this.createjs = this.createjs||{};
 	p._handleLoad = function(event) {
 		if (this.loaded) { return; }
 		this.loaded = true;
+		createjs.LoadQueue._markTime(this._item, "firstByte");
 
 		if(!this._checkError()) {
-			this._handleError();
+			createjs.LoadQueue._markTime(this._item, "loaded");
+			this._clean();
+			if (this._download != null && this._getStatus() == 416) {
+				this._resetDownload(); // The parts no longer match the file, so the next attempt starts again.
+			}
+			if (this._getStatus() == 0) {
+				this._sendRequestError("PRELOAD_NETWORK_ERROR");
+			} else {
+				this._sendRequestError("PRELOAD_HTTP_STATUS");
+			}
 			return;
 		}
 
+		if (this._item.stream) {
+			if (this._request.responseType == "arraybuffer") {
+				if (this._download == null) { this._sendChunk(this._getResponse(), 0); }
+			} else {
+				this._sendStreamedText();
+			}
+		}
+
 		this._response = this._getResponse();
 		this._clean();
-		var isComplete = this._generateTag();
-		if (isComplete) {
-			this._sendComplete();
+
+		// Large binaries are loaded in parts, so that they can be resumed.
+		if (this._download != null && !this._handleRange()) { return; }
+		this._handleResponse();
+	};
+
+	/**
+	 * Dispatch the text that has been received since the last chunk. The <code>responseText</code> of an XHR
+	 * request contains all the text that has been received so far, so the new text is found using the length that
+	 * was previously dispatched.
+	 * @method _sendStreamedText
+	 * @private
+	 */
+	p._sendStreamedText = function() {
+		var text;
+		try {
+			text = this._request.responseText; // This throws for binary responses, and in some older browsers.
+		} catch (error) {
+			return;
+		}
+		if (text == null || text.length <= this._streamOffset) { return; }
+
+		var offset = this._streamOffset;
+		this._streamOffset = text.length;
+		this._sendChunk(text.substr(offset), offset);
+	};
+
+	/**
+	 * A range request has completed. The part is added to the download, and the next part is requested. Once all
+	 * the parts are received, they are combined into the response. If the server sends the whole file instead
+	 * (because it does not support range requests, or the file has changed since the first part), it is used as the
+	 * response, and the parts are discarded.
+	 * @method _handleRange
+	 * @return {Boolean} If the download is complete, and the response contains the whole file.
+	 * @private
+	 */
+	p._handleRange = function() {
+		var download = this._download;
+		if (this._getStatus() != 206) {
+			this._resetDownload();
+			if (this._item.stream) { this._sendChunk(this._response, 0); }
+			return true;
+		}
+
+		var range = this._getContentRange();
+		var validator = this._getValidator();
+		if (range == null || range.start != download.bytesLoaded
+				|| (download.validator != null && validator != null && validator != download.validator)) {
+			this._resetDownload();
+			this._sendRequestError("PRELOAD_RANGE_INVALID");
+			return false;
+		}
+
+		var chunk = this._response;
+		if (download.chunks.length == 0) { download.validator = validator; }
+		if (range.total != null) { download.bytesTotal = range.total; }
+		if (this._item.stream) { this._sendChunk(chunk, download.bytesLoaded); }
+		download.chunks.push(chunk);
+		download.bytesLoaded += chunk.byteLength;
+
+		// When the server does not report the total size, a part that is shorter than requested is the last one.
+		var isComplete = (download.bytesTotal != null) ? download.bytesLoaded >= download.bytesTotal
+				: chunk.byteLength < this._item.rangeSize;
+		if (!isComplete) {
+			this._response = null;
+			this.loaded = false;
+			this._createXHR(this._item);
+			this._sendRequest();
+			return false;
 		}
+
+		this._response = this._joinChunks(download.chunks);
+		this._resetDownload();
+		return true;
+	};
+
+	/**
+	 * Set the Range header of the next part of the download, and the If-Range header, so that the server sends the
+	 * whole file instead if it has changed since the first part was received.
+	 * @method _setRangeHeaders
+	 * @private
+	 */
+	p._setRangeHeaders = function() {
+		var download = this._download;
+		var start = download.bytesLoaded;
+		var end = start + this._item.rangeSize - 1;
+		if (download.bytesTotal != null) { end = Math.min(end, download.bytesTotal - 1); }
+
+		this._numRanges++;
+		this._request.setRequestHeader("Range", "bytes=" + start + "-" + end);
+		if (download.validator != null) {
+			this._request.setRequestHeader("If-Range", download.validator);
+		}
+	};
+
+	/**
+	 * Parse the Content-Range header of a range response, such as "bytes 0-1023/4096".
+	 * @method _getContentRange
+	 * @return {Object} An object containing the <code>start</code> and <code>end</code> of the part, and the
+	 * <code>total</code> size of the file (which is null if the server does not know it), or null if there is no
+	 * valid Content-Range header.
+	 * @private
+	 */
+	p._getContentRange = function() {
+		var header = this._getResponseHeader("Content-Range");
+		var match = /bytes\s+(\d+)-(\d+)\/(\d+|\*)/i.exec(header || "");
+		if (match == null) { return null; }
+		return {
+			start: Number(match[1]),
+			end: Number(match[2]),
+			total: (match[3] == "*") ? null : Number(match[3])
+		};
+	};
+
+	/**
+	 * Get the value that identifies the version of the file, which is sent in the If-Range header. Weak ETags can not
+	 * be used with If-Range, so the Last-Modified date is used instead.
+	 * @method _getValidator
+	 * @return {String} The ETag or Last-Modified date, or null if the server did not send either.
+	 * @private
+	 */
+	p._getValidator = function() {
+		var etag = this._getResponseHeader("ETag");
+		if (etag != null && etag.indexOf("W/") != 0) { return etag; }
+		return this._getResponseHeader("Last-Modified") || null;
+	};
+
+	/**
+	 * Discard the parts of the download, so that it starts again. The download object is shared with the loaders
+	 * that resume it, so it is cleared instead of replaced.
+	 * @method _resetDownload
+	 * @private
+	 */
+	p._resetDownload = function() {
+		var download = this._download;
+		download.chunks = [];
+		download.bytesLoaded = 0;
+		download.bytesTotal = null;
+		download.validator = null;
 	};
 
 	/**
@@ -261,29 +485,54 @@ this.createjs = this.createjs||{};
 	 */
 	p._handleTimeout = function(event) {
 		this._clean();
-		this._sendError();
+		this._sendRequestError("PRELOAD_TIMEOUT");
 	};
 
 
 // Protected
 	/**
-	 * Determine if there is an error in the current load. This checks the status of the request for problem codes. Note
-	 * that this does not check for an actual response. Currently, it only checks for 404 or 0 error code.
-	 * @method _checkError
-	 * @return {Boolean} If the request status returns an error code.
+	 * Get the HTTP status of the request. Some browsers throw errors when the status is accessed on failed requests.
+	 * XDomainRequests do not provide a status, so they are assumed to be successful once they load.
+	 * @method _getStatus
+	 * @return {Number} The HTTP status, or 0 if it is not available.
 	 * @private
 	 */
-    p._checkError = function() {
-		//LM: Probably need additional handlers here, maybe 501
-        var status = parseInt(this._request.status);
-
-        switch (status) {
-            case 404:   // Not Found
-            case 0:     // Not Loaded
-                return false;
+	p._getStatus = function() {
+		if (window.XDomainRequest && this._request instanceof XDomainRequest) {
+			return this.loaded ? 200 : 0;
 		}
-		return true;
-    };
+		try {
+			return parseInt(this._request.status) || 0;
+		} catch (e) {
+			return 0;
+		}
+	};
+
+	/**
+	 * Dispatch an error event that contains the details of the request, including the HTTP status, status text, and
+	 * the raw response (such as the content of an error page). Please see the <code>AbstractLoader.error</code> event.
+	 * @method _sendRequestError
+	 * @param {String} reason The reason for the error.
+	 * @param {Object} [source] The original error that was thrown, if there was one.
+	 * @private
+	 */
+	p._sendRequestError = function(reason, source) {
+		var event = {reason:reason};
+		if (source != null) { event.source = source; }
+
+		if (this._request != null) {
+			event.status = this._getStatus();
+			try {
+				event.statusText = this._request.statusText || "";
+			} catch (e) {
+				event.statusText = "";
+			}
+			if (reason == "PRELOAD_HTTP_STATUS") {
+				event.rawResponse = this._getResponse();
+			}
+		}
+		this._sendError(event);
+	};
 
 	/**
 	 * Validate the response. Different browsers have different approaches, some of which throw errors when accessed
@@ -324,6 +573,8 @@ this.createjs = this.createjs||{};
 	 *      <li>ActiveX.XMLHTTP objects are used in older IE browsers.</li>
 	 *      <li>Text requests override the mime type if possible</li>
 	 *      <li>Origin headers are sent for crossdomain requests in some browsers.</li>
+	 *      <li>The method, headers, body, and credentials of the item are applied. XDomainRequest only supports GET
+	 *      and POST requests without headers or credentials, so those requests fail.</li>
 	 *      <li>Binary loads set the response type to "arraybuffer"</li></ol>
 	 * @method _createXHR
 	 * @param {Object} item The requested item that is being loaded.
@@ -333,14 +584,25 @@ this.createjs = this.createjs||{};
 	p._createXHR = function(item) {
 		// Check for cross-domain loads. We can't fully support them, but we can try.
 		var target = document.createElement("a");
-        target.href = item.src;
+        target.href = this._src;
         var host = document.createElement("a");
         host.href = location.href;
         var crossdomain = (target.hostname != "") && (target.port != host.port || target.protocol != host.protocol || target.hostname != host.hostname);
 
+		var method = (item.method || "GET").toUpperCase();
+		var src = this._src;
+		var hasBody = (method != "GET" && method != "HEAD");
+		if (!hasBody && item.values != null) {
+			src = this._appendValues(src, item.values);
+		}
+
 		// Create the request. Fall back to whatever support we have.
         var req;
         if (crossdomain && window.XDomainRequest) {
+			if (item.headers != null || item.withCredentials || (method != "GET" && method != "POST")) {
+				this._requestError = "PRELOAD_REQUEST_UNSUPPORTED";
+				return false;
+			}
             req = new XDomainRequest(); // Note: IE9 will fail if this is not actually cross-domain.
         } else if (window.XMLHttpRequest) { // Old IE versions use a different approach
             req = new XMLHttpRequest();
@@ -366,11 +628,32 @@ this.createjs = this.createjs||{};
         this._xhrLevel = (typeof req.responseType === "string") ? 2 : 1;
 
 		// Open the request.  Set cross-domain flags if it is supported (XHR level 1 only)
-        req.open("GET", item.src, true);
+        req.open(method, src, true);
         if (crossdomain && req instanceof XMLHttpRequest && this._xhrLevel == 1) {
             req.setRequestHeader("Origin", location.origin);
         }
 
+		var headers = {};
+		for (var n in item.headers) { headers[n] = item.headers[n]; }
+		if (hasBody) {
+			this._body = this._getRequestBody(item, headers);
+		}
+		if (req.setRequestHeader) { // XDomainRequest can not set headers.
+			for (n in headers) {
+				req.setRequestHeader(n, headers[n]);
+			}
+		}
+
+		// Note that "withCredentials" is only supported by XHR level 2. Level 1 requests send credentials to the same
+		// domain anyway, and can not send them cross-domain.
+		if (item.withCredentials) {
+			if (this._xhrLevel == 1 && crossdomain) {
+				this._requestError = "PRELOAD_REQUEST_UNSUPPORTED";
+				return false;
+			}
+			if ("withCredentials" in req) { req.withCredentials = true; }
+		}
+
 		// Binary files are loaded differently.
 		if (createjs.LoadQueue.isBinary(item.type)) {
 			req.responseType = "arraybuffer";
@@ -389,6 +672,7 @@ this.createjs = this.createjs||{};
 		clearTimeout(this._loadTimeout);
 
 		var req = this._request;
+		if (req == null) { return; }
 		req.onloadstart = null;
 		req.onprogress = null;
 		req.onabort = null;
@@ -400,110 +684,31 @@ this.createjs = this.createjs||{};
 	};
 
 	/**
-	 * Generate a tag for items that can be represented as tags. For example, IMAGE, SCRIPT, and LINK. This also handles
-	 * XML and SVG objects.
-	 * @method _generateTag
-	 * @return {Boolean} If a tag was generated and is ready for instantiation. If it still needs processing, this
-	 * method returns false.
+	 * Get the Content-Type of the response, or of the cached content if it was loaded from the cache.
+	 * @method _getContentType
+	 * @return {String} The Content-Type, or null if it is not available.
 	 * @private
 	 */
-	p._generateTag = function() {
-		var type = this._item.type;
-		var tag = this._item.tag;
-
-		switch (type) {
-			// Note: Images need to wait for onload, but do use the cache.
-			case createjs.LoadQueue.IMAGE:
-				tag.onload = createjs.proxy(this._handleTagReady,  this);
-				tag.src = this._item.src;
-
-				this._rawResponse = this._response;
-				this._response = tag;
-				return false; // Images need to get an onload event first
-
-			case createjs.LoadQueue.JAVASCRIPT:
-				tag = document.createElement("script");
-	            tag.text = this._response;
-
-				this._rawResponse = this._response;
-				this._response = tag;
-				return true;
-
-			case createjs.LoadQueue.CSS:
-				// Maybe do this conditionally?
-				var head = document.getElementsByTagName("head")[0]; //Note: This is unavoidable in IE678
-				head.appendChild(tag);
-
-				if (tag.styleSheet) { // IE
-				    tag.styleSheet.cssText = this._response;
-				} else {
-					var textNode = document.createTextNode(this._response);
-				    tag.appendChild(textNode);
-				}
-
-				this._rawResponse = this._response;
-				this._response = tag;
-				return true;
-
-			case createjs.LoadQueue.XML:
-				var xml = this._parseXML(this._response, "text/xml");
-				this._response = xml;
-				return true;
-
-			case createjs.LoadQueue.SVG:
-				var xml = this._parseXML(this._response, "image/svg+xml");
-				this._rawResponse = this._response;
-				tag.appendChild(xml.documentElement);
-				this._response = tag;
-				return true;
-
-			case createjs.LoadQueue.JSON:
-				var json = {};
-				try {
-					eval("json="+this._response);
-				} catch(error) {
-					// Log error?
-					return true; // If we can't parse it, let the user have the broken JSON.
-				}
-
-				this._rawResponse = this._response;
-				this._response = json;
-				return true;
-
-		}
-		return true;
+	p._getContentType = function() {
+		if (this._cachedContentType != null) { return this._cachedContentType; }
+		return this._getResponseHeader("Content-Type");
 	};
 
 	/**
-	 * Parse XML using the DOM. This is required when preloading XML or SVG.
-	 * @method _parseXML
-	 * @param {String} text The raw text or XML that is loaded by XHR.
-	 * @param {String} type The mime type of the XML.
-	 * @return {XML} An XML document.
+	 * Get a header of the response.
+	 * @method _getResponseHeader
+	 * @param {String} name The name of the header.
+	 * @return {String} The value of the header, or null if it is not available.
 	 * @private
 	 */
-	p._parseXML = function(text, type) {
-		var xml;
-		if (window.DOMParser) {
-			var parser = new DOMParser();
-			xml = parser.parseFromString(text, type);
-		} else { // IE
-			xml = new ActiveXObject("Microsoft.XMLDOM");
-			xml.async = false;
-			xml.loadXML(text);
+	p._getResponseHeader = function(name) {
+		try {
+			return this._request.getResponseHeader(name);
+		} catch (error) {
+			return null;
 		}
-		return xml;
 	};
 
-	/**
-	 * A generated tag is now ready for use.
-	 * @method _handleTagReady
-	 * @private
-	 */
-	p._handleTagReady = function() {
-		this._sendComplete();
-	}
-
 	p.toString = function() {
 		return "[PreloadJS XHRLoader]";
 	}
@@ -2,6 +2,25 @@ var logs = {
 	PRELOAD_NO_FILE: "The specified file is null",
 	PRELOAD_MANIFEST_EMPTY: "The provided manifest has no files to load",
 	PRELOAD_MANIFEST_NULL: "The provided manifest is null.",
+	PRELOAD_MANIFEST_INVALID: "The manifest file does not contain a list of files to load",
+	PRELOAD_ERROR: "The file could not be loaded",
+	PRELOAD_TIMEOUT: "The file did not load before the timeout",
+	PRELOAD_NETWORK_ERROR: "The file could not be loaded due to a network error",
+	PRELOAD_HTTP_STATUS: "The server responded with an error status [%DETAILS%]",
+	PRELOAD_ABORT: "The request was aborted",
+	PRELOAD_REMOVED: "The item was removed from the queue before it loaded",
+	PRELOAD_REQUEST_UNSUPPORTED: "The browser can not send this request, such as a cross-domain request with this method, headers, or credentials, or a request with fetch options",
+	PRELOAD_IMAGE_INVALID: "The loaded image could not be displayed",
+	PRELOAD_JSON_INVALID: "The JSON could not be parsed [%DETAILS%]",
+	PRELOAD_JSONP_CALLBACK: "The JSONP script loaded, but did not call its callback function",
+	PRELOAD_TAG_REQUEST_UNSUPPORTED: "Tag loading can not send a custom method, headers, body, credentials, or fetch options",
+	PRELOAD_DEPENDENCY_FAILED: "An item that this item depends on failed to load [%DETAILS%]",
+	PRELOAD_DEPENDENCY_MISSING: "An item that this item depends on is not in the queue [%DETAILS%]",
+	PRELOAD_DEPENDENCY_CYCLE: "The dependencies of this item depend on it [%DETAILS%]",
+	PRELOAD_CANCELED: "The item was canceled",
+	PRELOAD_RANGE_INVALID: "The server did not send the part of the file that was requested",
+	PRELOAD_SOUND_UNSUPPORTED: "The browser can not play any of the audio sources [%DETAILS%]",
+	PRELOAD_SOUND_INVALID: "The loaded sound could not be decoded",
 	POLYFILL_BIND: "Using the Function.bind PolyFill",
 	POLYFILL_INDEXOF: "Using the Array.indexOf PolyFill"
 }